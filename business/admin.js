@@ -0,0 +1,179 @@
+// business/admin.js
+// Admin console: operator accounts, login, and browsing waitlist, contact,
+// known-spam and webhook delivery data.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const {
+  insertAdminUser,
+  findAdminByUsername,
+  findAdminById,
+  countAdminUsers,
+  listAdminUsers,
+  recordAdminLogin,
+  listWaitlistEntries,
+  listContactEntries,
+  listKnownSpamNumbers,
+  listWebhookDeliveries
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 12;
+
+/**
+ * Hash a password with scrypt. Output: scrypt$N$r$p$salt$hash (base64 parts).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Verified against when the username is unknown, so both failures take as long
+let dummyHash = null;
+
+/**
+ * Create an operator account.
+ */
+async function createAdminUser({ username, password }) {
+  if (!username || !/^[a-zA-Z0-9._-]{3,50}$/.test(username)) {
+    throw new BusinessError('Username must be 3-50 letters, digits, dots, dashes or underscores', 'INVALID_USERNAME');
+  }
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new BusinessError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'WEAK_PASSWORD');
+  }
+  try {
+    const admin = await insertAdminUser({ username, passwordHash: await hashPassword(password) });
+    return { id: String(admin._id), username: admin.username };
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw new BusinessError('That username is already taken', 'DUPLICATE_USERNAME');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Check operator credentials. Resolves to { id, username } or throws
+ * INVALID_CREDENTIALS without revealing which part was wrong.
+ */
+async function authenticateAdmin({ username, password }) {
+  const admin = await findAdminByUsername(username);
+  if (!admin) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    throw new BusinessError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+  if (!await verifyPassword(password, admin.passwordHash)) {
+    throw new BusinessError('Invalid username or password', 'INVALID_CREDENTIALS');
+  }
+  await recordAdminLogin(admin._id);
+  return { id: String(admin._id), username: admin.username };
+}
+
+/**
+ * Resolve the operator behind a session, or null if the account is gone.
+ */
+async function getAdmin(id) {
+  const admin = id ? await findAdminById(id) : null;
+  return admin ? { id: String(admin._id), username: admin.username } : null;
+}
+
+async function listOperators() {
+  return listAdminUsers();
+}
+
+/**
+ * Create the first operator from ADMIN_USERNAME / ADMIN_PASSWORD when no
+ * accounts exist yet. Does nothing once any operator is present.
+ */
+async function ensureBootstrapAdmin() {
+  if (await countAdminUsers() > 0) return null;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    logger.warn('No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first one.');
+    return null;
+  }
+  const admin = await createAdminUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+  logger.info('Created initial admin account', { username: admin.username });
+  return admin;
+}
+
+const LISTINGS = {
+  waitlist: {
+    list: listWaitlistEntries,
+    sortFields: ['joinedAt', 'name', 'email', 'status', 'referralCount'],
+    defaultSort: 'joinedAt'
+  },
+  contacts: {
+    list: listContactEntries,
+    sortFields: ['createdAt', 'name', 'email', 'subject', 'status'],
+    defaultSort: 'createdAt'
+  },
+  'known-spam': {
+    list: listKnownSpamNumbers,
+    sortFields: ['updatedAt', 'number', 'category', 'label', 'version'],
+    defaultSort: 'updatedAt'
+  },
+  'webhook-deliveries': {
+    list: listWebhookDeliveries,
+    sortFields: ['createdAt', 'event', 'url', 'status', 'attempts'],
+    defaultSort: 'createdAt'
+  }
+};
+
+/**
+ * Paginated, searchable, sortable view of one of the LISTINGS collections.
+ * Unknown sort fields fall back to newest first; limit is capped at 100.
+ */
+async function browseEntries(collection, { page, limit, q, sort, dir } = {}) {
+  const listing = LISTINGS[collection];
+  if (!listing) {
+    throw new BusinessError('Unknown collection', 'INVALID_COLLECTION');
+  }
+  const query = {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit, 10) || 25, 1), 100),
+    q: q ? String(q).trim().slice(0, 100) : '',
+    sort: listing.sortFields.includes(sort) ? sort : listing.defaultSort,
+    dir: dir === 'asc' ? 1 : -1
+  };
+  const { items, total } = await listing.list(query);
+  return {
+    items,
+    total,
+    page: query.page,
+    limit: query.limit,
+    pages: Math.max(Math.ceil(total / query.limit), 1),
+    q: query.q,
+    sort: query.sort,
+    dir: query.dir === 1 ? 'asc' : 'desc'
+  };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createAdminUser,
+  authenticateAdmin,
+  getAdmin,
+  listOperators,
+  ensureBootstrapAdmin,
+  browseEntries
+};
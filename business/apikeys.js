@@ -0,0 +1,177 @@
+// business/apikeys.js
+// API keys for /api/v1: issuance, listing, rotation, revocation and checking
+// presented keys. Keys are shown once at issuance; only SHA-256 hashes are kept.
+
+const crypto = require('crypto');
+const {
+  insertApiKey,
+  findApiKeyByHash,
+  findApiKeyById,
+  listApiKeys: listApiKeyRecords,
+  revokeApiKeyById,
+  expireApiKey,
+  touchApiKey
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { hashToken } = require('./tokens');
+const { API_PLANS } = require('./usage');
+const { logger } = require('./logger');
+
+const API_SCOPES = ['detect', 'blocklist:read', 'blocklist:write', 'report', 'calls'];
+const KEY_PATTERN = /^spk_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/;
+
+// lastUsedAt is only written when older than this, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * New key "spk_<12 hex>_<secret>"; the part before the secret is its display prefix.
+ */
+function generateKey() {
+  const prefix = `spk_${crypto.randomBytes(6).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: hashToken(key) };
+}
+
+function keyStatus(doc, now = new Date()) {
+  if (doc.revokedAt) return 'revoked';
+  if (doc.expiresAt && doc.expiresAt <= now) return 'expired';
+  if (doc.expiresAt) return 'expiring';
+  return 'active';
+}
+
+/**
+ * Public shape of a key (never the secret or its hash).
+ */
+function toApiKey(doc) {
+  return {
+    id: String(doc._id),
+    name: doc.name,
+    owner: doc.owner,
+    prefix: doc.prefix,
+    scopes: doc.scopes || [],
+    plan: doc.plan || 'free',
+    status: keyStatus(doc),
+    createdBy: doc.createdBy || null,
+    createdAt: doc.createdAt || null,
+    lastUsedAt: doc.lastUsedAt || null,
+    expiresAt: doc.expiresAt || null,
+    revokedAt: doc.revokedAt || null,
+    rotatedFrom: doc.rotatedFrom ? String(doc.rotatedFrom) : null
+  };
+}
+
+function validateKeyFields({ name, owner, scopes, plan = 'free' }) {
+  const cleanName = String(name || '').trim();
+  if (!cleanName || cleanName.length > 100) {
+    throw new BusinessError('Key name must be 1-100 characters', 'INVALID_KEY_NAME');
+  }
+  const cleanOwner = String(owner || '').trim();
+  if (!/^[A-Za-z0-9._:@-]{1,64}$/.test(cleanOwner)) {
+    throw new BusinessError('Owner must be 1-64 letters, digits or . _ : @ -', 'INVALID_OWNER');
+  }
+  const list = [...new Set([].concat(scopes || []))];
+  if (!list.length || list.some(scope => !API_SCOPES.includes(scope))) {
+    throw new BusinessError(`Choose at least one scope of ${API_SCOPES.join(', ')}`, 'INVALID_SCOPES');
+  }
+  if (!API_PLANS.includes(plan)) {
+    throw new BusinessError(`Plan must be one of ${API_PLANS.join(', ')}`, 'INVALID_PLAN');
+  }
+  return { name: cleanName, owner: cleanOwner, scopes: list, plan };
+}
+
+/**
+ * Issue a key. Resolves to { key, apiKey }: `key` is the secret, returned
+ * only this once.
+ */
+async function issueApiKey({ name, owner, scopes, plan, createdBy }) {
+  const fields = validateKeyFields({ name, owner, scopes, plan });
+  const { key, prefix, keyHash } = generateKey();
+  const doc = await insertApiKey({ ...fields, prefix, keyHash, createdBy });
+  return { key, apiKey: toApiKey(doc) };
+}
+
+async function listApiKeys({ owner } = {}) {
+  return (await listApiKeyRecords({ owner })).map(doc => toApiKey(doc));
+}
+
+async function findUsableKey(id) {
+  const doc = await findApiKeyById(id);
+  if (!doc) {
+    throw new BusinessError('API key not found', 'API_KEY_NOT_FOUND');
+  }
+  if (keyStatus(doc) === 'revoked' || keyStatus(doc) === 'expired') {
+    throw new BusinessError('This API key is no longer active', 'API_KEY_INACTIVE');
+  }
+  return doc;
+}
+
+/**
+ * Replace a key with a new one (same name, owner, scopes and plan). The old key
+ * keeps working for API_KEY_ROTATION_GRACE_HOURS (default 24, 0 = revoke now)
+ * so clients can switch over. Resolves to { key, apiKey, previous }.
+ */
+async function rotateApiKey(id, { createdBy } = {}) {
+  const old = await findUsableKey(id);
+  const { key, prefix, keyHash } = generateKey();
+  const doc = await insertApiKey({
+    name: old.name,
+    owner: old.owner,
+    scopes: old.scopes,
+    plan: old.plan,
+    prefix,
+    keyHash,
+    createdBy,
+    rotatedFrom: old._id
+  });
+
+  const graceHours = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 10);
+  const previous = graceHours === 0
+    ? await revokeApiKeyById(old._id)
+    : await expireApiKey(old._id, new Date(Date.now() + (graceHours || 24) * 60 * 60 * 1000));
+  return { key, apiKey: toApiKey(doc), previous: previous ? toApiKey(previous) : toApiKey(old) };
+}
+
+async function revokeApiKey(id) {
+  const revoked = await revokeApiKeyById(id);
+  if (!revoked) {
+    if (!await findApiKeyById(id)) {
+      throw new BusinessError('API key not found', 'API_KEY_NOT_FOUND');
+    }
+    throw new BusinessError('This API key is already revoked', 'API_KEY_INACTIVE');
+  }
+  return toApiKey(revoked);
+}
+
+/**
+ * Resolve a presented key to { id, name, owner, scopes, plan, prefix }.
+ * Throws INVALID_API_KEY, API_KEY_REVOKED or API_KEY_EXPIRED.
+ */
+async function authenticateApiKey(key) {
+  const doc = KEY_PATTERN.test(String(key || '')) ? await findApiKeyByHash(hashToken(key)) : null;
+  if (!doc) {
+    throw new BusinessError('Invalid API key', 'INVALID_API_KEY');
+  }
+  const status = keyStatus(doc);
+  if (status === 'revoked') {
+    throw new BusinessError('This API key has been revoked', 'API_KEY_REVOKED');
+  }
+  if (status === 'expired') {
+    throw new BusinessError('This API key has expired', 'API_KEY_EXPIRED');
+  }
+
+  const now = new Date();
+  if (!doc.lastUsedAt || now - doc.lastUsedAt > TOUCH_INTERVAL_MS) {
+    touchApiKey(doc._id, now).catch(err => logger.warn('Could not record API key use', { err }));
+  }
+  return { id: String(doc._id), name: doc.name, owner: doc.owner, scopes: doc.scopes || [], plan: doc.plan || 'free', prefix: doc.prefix };
+}
+
+module.exports = {
+  API_SCOPES,
+  API_PLANS,
+  issueApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,236 @@
+// business/blocklist.js
+// Per-user blocklists: exact numbers or prefixes with a label, an optional
+// expiry and a source, plus bulk import/export to move lists between devices.
+
+const {
+  listBlocklistEntries,
+  findAllBlocklistEntries,
+  countBlocklistEntries,
+  findBlocklistEntry,
+  insertBlocklistEntry,
+  updateBlocklistEntry,
+  deleteBlocklistEntry,
+  deleteAllBlocklistEntries,
+  upsertBlocklistEntries
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { normalizeNumber } = require('./phone');
+
+const BLOCKLIST_SOURCES = ['manual', 'community', 'auto'];
+const EXPORT_FORMAT = 'spamklr-blocklist/1';
+
+function maxEntries() {
+  return parseInt(process.env.BLOCKLIST_MAX_ENTRIES, 10) || 5000;
+}
+
+/**
+ * Turn user input into a stored pattern. "+97455123456" (or any dialable
+ * form, with region) blocks that number; "+9745*" blocks every number
+ * starting with those digits.
+ */
+function parsePattern(input, region) {
+  const text = String(input == null ? '' : input).trim();
+  if (text.endsWith('*')) {
+    const prefix = text.slice(0, -1).replace(/[\s().\-]/g, '').replace(/^00/, '+');
+    if (!/^\+[1-9]\d{0,14}$/.test(prefix)) {
+      throw new BusinessError('Prefixes must start with + and the country code, e.g. +9745*', 'INVALID_PATTERN');
+    }
+    return { pattern: prefix, type: 'prefix' };
+  }
+  try {
+    return { pattern: normalizeNumber(text, region).e164, type: 'exact' };
+  } catch (err) {
+    if (err instanceof BusinessError) {
+      throw new BusinessError('Pattern must be a phone number or a prefix ending in *', 'INVALID_PATTERN');
+    }
+    throw err;
+  }
+}
+
+function parseLabel(label) {
+  if (label == null || label === '') return undefined;
+  if (typeof label !== 'string' || label.trim().length > 100) {
+    throw new BusinessError('Label must be text of at most 100 characters', 'INVALID_LABEL');
+  }
+  return label.trim();
+}
+
+// null clears an expiry; undefined leaves it alone
+function parseExpiry(expiresAt) {
+  if (expiresAt === undefined) return undefined;
+  if (expiresAt === null || expiresAt === '') return null;
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new BusinessError('expiresAt must be a date in the future', 'INVALID_EXPIRY');
+  }
+  return date;
+}
+
+function parseSource(source) {
+  if (source == null || source === '') return undefined;
+  if (!BLOCKLIST_SOURCES.includes(source)) {
+    throw new BusinessError(`source must be one of ${BLOCKLIST_SOURCES.join(', ')}`, 'INVALID_SOURCE');
+  }
+  return source;
+}
+
+/**
+ * Public shape of an entry; prefixes are shown with their trailing *.
+ */
+function toEntry(doc) {
+  return {
+    id: String(doc._id),
+    pattern: doc.type === 'prefix' ? `${doc.pattern}*` : doc.pattern,
+    type: doc.type,
+    label: doc.label || null,
+    expiresAt: doc.expiresAt ? new Date(doc.expiresAt).toISOString() : null,
+    source: doc.source || 'manual',
+    createdAt: doc.createdAt ? new Date(doc.createdAt).toISOString() : null,
+    updatedAt: doc.updatedAt ? new Date(doc.updatedAt).toISOString() : null
+  };
+}
+
+function parseEntry(input, region) {
+  return {
+    ...parsePattern(input.pattern, region),
+    label: parseLabel(input.label),
+    expiresAt: parseExpiry(input.expiresAt) || undefined,
+    source: parseSource(input.source)
+  };
+}
+
+/**
+ * One page of a user's blocklist, newest first. limit is capped at 100.
+ */
+async function listBlocklist(owner, { page, limit, q, source } = {}) {
+  const query = {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100),
+    q: q ? String(q).trim().slice(0, 32) : '',
+    source: parseSource(source)
+  };
+  const { items, total } = await listBlocklistEntries(owner, query);
+  return {
+    items: items.map(toEntry),
+    total,
+    page: query.page,
+    limit: query.limit,
+    pages: Math.max(Math.ceil(total / query.limit), 1)
+  };
+}
+
+async function getBlocklistEntry(owner, id) {
+  const entry = await findBlocklistEntry(owner, id);
+  if (!entry) {
+    throw new BusinessError('Blocklist entry not found', 'BLOCKLIST_ENTRY_NOT_FOUND');
+  }
+  return toEntry(entry);
+}
+
+/**
+ * Add one entry. Throws DUPLICATE_BLOCKLIST_ENTRY if the pattern is already listed.
+ */
+async function addBlocklistEntry(owner, input, { region } = {}) {
+  const entry = parseEntry(input || {}, region);
+  if (await countBlocklistEntries(owner) >= maxEntries()) {
+    throw new BusinessError(`Blocklists are limited to ${maxEntries()} entries`, 'BLOCKLIST_FULL');
+  }
+  try {
+    return toEntry(await insertBlocklistEntry({ owner, ...entry }));
+  } catch (err) {
+    if (err && err.code === 11000) {
+      throw new BusinessError('That pattern is already on your blocklist', 'DUPLICATE_BLOCKLIST_ENTRY');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change an entry's label, expiry or source (the pattern itself is fixed).
+ */
+async function changeBlocklistEntry(owner, id, input = {}) {
+  if (input.pattern !== undefined) {
+    throw new BusinessError('The pattern of an entry cannot be changed; delete it and add a new one', 'INVALID_PATTERN');
+  }
+  const changes = {
+    label: input.label === null || input.label === '' ? null : parseLabel(input.label),
+    expiresAt: parseExpiry(input.expiresAt),
+    source: parseSource(input.source)
+  };
+  const updated = await updateBlocklistEntry(owner, id, changes);
+  if (!updated) {
+    throw new BusinessError('Blocklist entry not found', 'BLOCKLIST_ENTRY_NOT_FOUND');
+  }
+  return toEntry(updated);
+}
+
+async function removeBlocklistEntry(owner, id) {
+  if (!await deleteBlocklistEntry(owner, id)) {
+    throw new BusinessError('Blocklist entry not found', 'BLOCKLIST_ENTRY_NOT_FOUND');
+  }
+}
+
+/**
+ * Bulk import, e.g. a file from exportBlocklist() on another device.
+ * mode "merge" adds new patterns and updates existing ones; "replace" first
+ * empties the list. Invalid entries are skipped and reported by index.
+ */
+async function importBlocklist(owner, { entries, mode = 'merge' } = {}, { region } = {}) {
+  if (!Array.isArray(entries)) {
+    throw new BusinessError('entries must be an array', 'INVALID_IMPORT');
+  }
+  if (!['merge', 'replace'].includes(mode)) {
+    throw new BusinessError('mode must be merge or replace', 'INVALID_IMPORT');
+  }
+  if (entries.length > maxEntries()) {
+    throw new BusinessError(`Blocklists are limited to ${maxEntries()} entries`, 'BLOCKLIST_FULL');
+  }
+
+  const valid = new Map();
+  const errors = [];
+  entries.forEach((input, index) => {
+    try {
+      const entry = parseEntry(input && typeof input === 'object' ? input : { pattern: input }, region);
+      // Later duplicates in the same file win
+      valid.set(`${entry.type}:${entry.pattern}`, entry);
+    } catch (err) {
+      if (!(err instanceof BusinessError)) throw err;
+      errors.push({ index, code: err.code, message: err.message });
+    }
+  });
+
+  // Patterns already on the list are updated in place, so only new ones count
+  const existing = mode === 'replace' ? [] : await findAllBlocklistEntries(owner);
+  const known = new Set(existing.map(entry => `${entry.type}:${entry.pattern}`));
+  const added = [...valid.keys()].filter(key => !known.has(key)).length;
+  if (existing.length + added > maxEntries()) {
+    throw new BusinessError(`Importing would exceed the limit of ${maxEntries()} entries`, 'BLOCKLIST_FULL');
+  }
+
+  const removed = mode === 'replace' ? await deleteAllBlocklistEntries(owner) : 0;
+  const { inserted, updated } = await upsertBlocklistEntries(owner, [...valid.values()]);
+  return { mode, inserted, updated, removed, skipped: errors.length, errors };
+}
+
+/**
+ * The whole list in a portable format that importBlocklist() accepts.
+ */
+async function exportBlocklist(owner) {
+  const entries = await findAllBlocklistEntries(owner);
+  return {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(toEntry).map(({ pattern, label, expiresAt, source }) => ({ pattern, label, expiresAt, source }))
+  };
+}
+
+module.exports = {
+  BLOCKLIST_SOURCES,
+  listBlocklist,
+  getBlocklistEntry,
+  addBlocklistEntry,
+  changeBlocklistEntry,
+  removeBlocklistEntry,
+  importBlocklist,
+  exportBlocklist
+};
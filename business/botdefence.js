@@ -0,0 +1,137 @@
+// business/botdefence.js
+// Bot checks for the public forms, without third-party CAPTCHAs: a hidden
+// honeypot field, a signed single-use token issued with the page that cannot
+// be used straight away, and an optional proof of work solved by the browser.
+
+const crypto = require('crypto');
+const { BusinessError } = require('./errors');
+const { incrementRateLimit, resetRateLimit } = require('../persistence/persistence');
+
+const FORMS = ['join', 'contact'];
+
+// Anyone could sign tokens with the development fallback, so production
+// refuses to issue or accept them without a configured secret
+function secret() {
+  const configured = process.env.BOT_TOKEN_SECRET || process.env.SESSION_SECRET;
+  if (configured) return configured;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BOT_TOKEN_SECRET (or SESSION_SECRET) must be set in production');
+  }
+  return 'spamklr-form-tokens';
+}
+
+// Fastest a person fills a form in, from page render to submit
+function minSubmitMs() {
+  return parseInt(process.env.BOT_MIN_SUBMIT_MS, 10) || 3000;
+}
+
+function maxTokenAgeMs() {
+  return parseInt(process.env.BOT_TOKEN_MAX_AGE_MS, 10) || 2 * 60 * 60 * 1000;
+}
+
+// Leading zero bits the proof-of-work hash needs; 0 (the default) turns it off
+function powDifficulty() {
+  return Math.min(parseInt(process.env.BOT_POW_DIFFICULTY, 10) || 0, 24);
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Token to render into `form`: "<payload>.<HMAC>", where the payload holds
+ * the form, when it was issued and the proof-of-work difficulty. Returns
+ * { token, difficulty }.
+ */
+function issueFormToken(form, now = Date.now()) {
+  const difficulty = powDifficulty();
+  const payload = Buffer.from(JSON.stringify({
+    f: form,
+    t: now,
+    d: difficulty,
+    n: crypto.randomBytes(8).toString('hex')
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, difficulty };
+}
+
+function readToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Used tokens are remembered, through the rate-limit counters, until they expire
+function usedTokenKey(claims) {
+  return `form-token:${claims.n}`;
+}
+
+/**
+ * Check a submission of `form` before it is acted on:
+ * - honeypot: the hidden field people never see must be empty
+ * - token: signed for this form, at least BOT_MIN_SUBMIT_MS (default 3s)
+ *   old, at most BOT_TOKEN_MAX_AGE_MS (default 2h) and not used before
+ * - proof of work, when the token asks for it: SHA-256 of
+ *   "<token>:<email, trimmed and lower-cased>:<nonce>" must start with
+ *   `difficulty` zero bits, so each address submitted costs fresh work
+ * Passing marks the token used. Throws a BusinessError naming the failed check.
+ */
+async function verifyFormSubmission(form, { token, honeypot, email, nonce }, now = Date.now()) {
+  if (honeypot) {
+    throw new BusinessError('We could not accept this submission.', 'HONEYPOT_FILLED');
+  }
+
+  const claims = readToken(token);
+  if (!claims || claims.f !== form || !Number.isFinite(claims.t) || typeof claims.n !== 'string') {
+    throw new BusinessError('This form has expired. Please reload the page and try again.', 'FORM_TOKEN_INVALID');
+  }
+  if (now - claims.t > maxTokenAgeMs()) {
+    throw new BusinessError('This form has expired. Please reload the page and try again.', 'FORM_TOKEN_EXPIRED');
+  }
+  if (now - claims.t < minSubmitMs()) {
+    throw new BusinessError('That was quick! Please wait a moment and submit again.', 'SUBMITTED_TOO_FAST');
+  }
+
+  if (claims.d > 0) {
+    const digest = crypto.createHash('sha256')
+      .update(`${token}:${String(email || '').trim().toLowerCase()}:${nonce}`)
+      .digest();
+    if (nonce === undefined || nonce === '' || leadingZeroBits(digest) < claims.d) {
+      throw new BusinessError('We could not verify this submission. Please reload the page and try again.', 'PROOF_OF_WORK_INVALID');
+    }
+  }
+
+  const { count } = await incrementRateLimit(usedTokenKey(claims), claims.t + maxTokenAgeMs() - now);
+  if (count > 1) {
+    throw new BusinessError('This form has already been submitted. Please reload the page and try again.', 'FORM_TOKEN_INVALID');
+  }
+}
+
+/**
+ * Let a token that passed verifyFormSubmission be used again, for a
+ * submission that was refused afterwards (e.g. by validation).
+ */
+async function releaseFormToken(token) {
+  const claims = readToken(token);
+  if (claims && typeof claims.n === 'string') await resetRateLimit(usedTokenKey(claims));
+}
+
+module.exports = { FORMS, issueFormToken, verifyFormSubmission, releaseFormToken };
@@ -1,50 +1,144 @@
 // business/business.js
 // Business rules & domain logic. Uses persistence layer.
 
+const crypto = require('crypto');
 const {
   insertWaitlistEntry,
+  refreshVerificationToken,
+  confirmByVerificationToken,
   countWaitlist,
+  getQueuePosition,
+  findByReferralCode,
+  assignReferralCode,
+  creditReferral,
   countRecentByIP,
   findByEmail,
+  setStatusToken,
+  findByStatusToken,
   getStats,
   insertContactEntry,
-  countContactsByIP
+  countContactsByIP,
+  recordCapacityThreshold
 } = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { sendMail, escapeHtml } = require('./mailer');
+const { screenEmail } = require('./screening');
+const { createToken, hashToken } = require('./tokens');
+const { emitWebhookEvent } = require('./webhooks');
+const { logger } = require('./logger');
 
-class BusinessError extends Error {
-  constructor(message, code = 'BUSINESS_ERROR') {
-    super(message);
-    this.name = 'BusinessError';
-    this.code = code;
+
+function verificationExpiry() {
+  const ttlHours = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS, 10) || 48;
+  return new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+}
+
+const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Random 8-character referral code without look-alike characters (0/O, 1/I).
+ */
+function generateReferralCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += REFERRAL_ALPHABET[crypto.randomInt(REFERRAL_ALPHABET.length)];
+  }
+  return code;
+}
+
+function isDuplicateKey(err, field) {
+  return Boolean(err && err.code === 11000 && (!field || (err.keyPattern && err.keyPattern[field])));
+}
+
+/**
+ * Resolve the referrer for a signup, refusing self-referrals: a referrer who
+ * signed up from the same IP address or with the same user agent is ignored.
+ */
+async function resolveReferrer({ ref, ipAddress, userAgent }) {
+  if (!ref) return null;
+  const referrer = await findByReferralCode(ref);
+  if (!referrer) return null;
+  const sameIP = ipAddress !== 'unknown' && referrer.ipAddress === ipAddress;
+  const sameAgent = userAgent !== 'unknown' && referrer.userAgent === userAgent;
+  if (sameIP || sameAgent) {
+    logger.warn('Self-referral ignored', { referralCode: referrer.referralCode });
+    return null;
+  }
+  return referrer;
+}
+
+/**
+ * Return the entry's referral code, assigning one to older entries that lack it.
+ */
+async function ensureReferralCode(entry) {
+  if (entry.referralCode) return entry.referralCode;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const updated = await assignReferralCode(entry._id, generateReferralCode());
+      if (updated) return updated.referralCode;
+      return (await findByEmail(entry.email)).referralCode;
+    } catch (err) {
+      if (!isDuplicateKey(err, 'referralCode')) throw err;
+    }
   }
+  throw new Error('Could not allocate a unique referral code');
+}
+
+async function sendVerificationEmail({ name, email, token, baseUrl }) {
+  const link = `${baseUrl}/join/verify/${encodeURIComponent(token)}`;
+  return sendMail({
+    to: email,
+    subject: 'Confirm your spot on the SPAMKLR waitlist',
+    text: `Hi ${name},\n\nPlease confirm your email address to join the SPAMKLR waitlist:\n${link}\n\nIf you did not sign up, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address to join the SPAMKLR waitlist:</p><p><a href="${link}">Confirm my spot</a></p><p>If you did not sign up, you can ignore this email.</p>`
+  });
 }
 
 /**
  * Add a user to the waitlist enforcing business rules:
- * - Name/email sanity checks
+ * - Name/email sanity checks, disposable & typo domain screening
  * - waitlist capacity
  * - duplicate email prevention
  * - per-IP signup limit
+ * - optional referral code (`ref`), self-referrals are ignored
+ * The entry stays pending until the emailed verification link is opened.
+ * Signing up again with a still-pending email re-sends a fresh link.
  */
-async function addToWaitlist({ name, email, ipAddress = 'unknown', userAgent = 'unknown' }) {
+async function addToWaitlist({ name, email, ref, ipAddress = 'unknown', userAgent = 'unknown', baseUrl }) {
   if (!name || String(name).trim().length < 2) {
     throw new BusinessError('Name must be at least 2 characters', 'INVALID_NAME');
   }
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
     throw new BusinessError('Please enter a valid email address', 'INVALID_EMAIL');
   }
+  // disposable / typo / malformed domain screening
+  await screenEmail(email);
 
   const maxEntries = parseInt(process.env.MAX_WAITLIST_ENTRIES, 10) || 10000;
   const currentCount = await countWaitlist();
   if (currentCount >= maxEntries) {
+    await emitWebhookEvent('waitlist.full', { email: email.toLowerCase().trim(), count: currentCount, capacity: maxEntries });
     throw new BusinessError('Waitlist Full: Capacity reached.', 'WAITLIST_FULL');
   }
 
   // duplicate check
   const existing = await findByEmail(email);
-  if (existing) {
+  if (existing && existing.status !== 'pending') {
     throw new BusinessError('This email is already on our waitlist. We will notify you.', 'DUPLICATE_EMAIL');
   }
+  if (existing) {
+    const { token, tokenHash } = createToken();
+    const entry = await refreshVerificationToken(existing._id, {
+      verificationTokenHash: tokenHash,
+      verificationExpiresAt: verificationExpiry()
+    });
+    if (!entry) {
+      // Confirmed in the meantime
+      throw new BusinessError('This email is already on our waitlist. We will notify you.', 'DUPLICATE_EMAIL');
+    }
+    await sendVerificationEmail({ name: entry.name, email: entry.email, token, baseUrl });
+    return { entry, pending: true };
+  }
 
   // per-IP throttle (default 3 per 24h)
   const ipLimit = parseInt(process.env.MAX_SIGNUPS_PER_IP_24H, 10) || 3;
@@ -53,21 +147,131 @@ async function addToWaitlist({ name, email, ipAddress = 'unknown', userAgent = '
     throw new BusinessError('Too many signups from your location. Please try again tomorrow.', 'IP_RATE_LIMIT');
   }
 
-  try {
-    const entry = await insertWaitlistEntry({
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      ipAddress,
-      userAgent
+  const referrer = await resolveReferrer({ ref, ipAddress, userAgent });
+
+  const { token, tokenHash } = createToken();
+  let entry;
+  for (let attempt = 0; !entry; attempt++) {
+    try {
+      entry = await insertWaitlistEntry({
+        name: name.trim(),
+        email: email.toLowerCase().trim(),
+        ipAddress,
+        userAgent,
+        verificationTokenHash: tokenHash,
+        verificationExpiresAt: verificationExpiry(),
+        referralCode: generateReferralCode(),
+        referredBy: referrer ? referrer._id : undefined
+      });
+    } catch (err) {
+      // Referral code collision: retry with a fresh code
+      if (isDuplicateKey(err, 'referralCode')) {
+        if (attempt < 2) continue;
+        throw err;
+      }
+      // Handle race-condition duplicate key
+      if (isDuplicateKey(err)) {
+        throw new BusinessError('This email is already on our waitlist.', 'DUPLICATE_EMAIL');
+      }
+      throw err;
+    }
+  }
+
+  await sendVerificationEmail({ name: entry.name, email: entry.email, token, baseUrl });
+  return { entry, pending: true };
+}
+
+/**
+ * Confirm a pending waitlist entry from its emailed verification token.
+ * A confirmed signup credits its referrer, moving them up the queue by
+ * REFERRAL_BOOST_HOURS (default 24) per referral, up to REFERRAL_MAX_CREDITS.
+ * Sends the waitlist.signup webhook, and waitlist.capacity_threshold when
+ * this signup fills the list to one of WAITLIST_CAPACITY_THRESHOLDS
+ * (percentages, default 50,80,90,100).
+ */
+async function confirmWaitlistEntry(token) {
+  const entry = token ? await confirmByVerificationToken(hashToken(token)) : null;
+  if (!entry) {
+    throw new BusinessError('This verification link is invalid or has expired. Please sign up again to get a new one.', 'INVALID_TOKEN');
+  }
+
+  if (entry.referredBy) {
+    const boostHours = parseInt(process.env.REFERRAL_BOOST_HOURS, 10) || 24;
+    await creditReferral(entry.referredBy, {
+      boostMs: boostHours * 60 * 60 * 1000,
+      maxCredits: parseInt(process.env.REFERRAL_MAX_CREDITS, 10) || 20
     });
-    return { entry, position: currentCount + 1 };
-  } catch (err) {
-    // Handle race-condition duplicate key
-    if (err && (err.code === 11000 || (err.name === 'MongoServerError' && err.code === 11000))) {
-      throw new BusinessError('This email is already on our waitlist.', 'DUPLICATE_EMAIL');
+  }
+
+  const position = await getQueuePosition(entry);
+  const referralCode = await ensureReferralCode(entry);
+
+  await emitWebhookEvent('waitlist.signup', {
+    id: String(entry._id),
+    name: entry.name,
+    email: entry.email,
+    position,
+    referred: Boolean(entry.referredBy),
+    confirmedAt: new Date(entry.confirmedAt).toISOString()
+  });
+  const capacity = parseInt(process.env.MAX_WAITLIST_ENTRIES, 10) || 10000;
+  const count = await countWaitlist();
+  const thresholds = (process.env.WAITLIST_CAPACITY_THRESHOLDS || '50,80,90,100').split(',').map(Number).filter(Boolean);
+  for (const threshold of thresholds) {
+    // Confirmations can run side by side and skip past a mark, so every one
+    // at or over it asks, and only the first to record the threshold emits
+    if (count < Math.ceil((capacity * threshold) / 100)) continue;
+    if (await recordCapacityThreshold(threshold, { count, capacity })) {
+      await emitWebhookEvent('waitlist.capacity_threshold', { threshold, count, capacity });
     }
-    throw err;
   }
+  return { entry, position, referralCode };
+}
+
+/**
+ * Email a magic link to the waitlist status page. Unknown emails are
+ * silently ignored so the response never reveals who is on the list.
+ */
+async function requestStatusLink({ email, baseUrl }) {
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new BusinessError('Please enter a valid email address', 'INVALID_EMAIL');
+  }
+  const ttlMinutes = parseInt(process.env.STATUS_LINK_TTL_MINUTES, 10) || 60;
+  const { token, tokenHash } = createToken();
+  const entry = await setStatusToken(email, {
+    statusTokenHash: tokenHash,
+    statusTokenExpiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  if (!entry) return;
+
+  const link = `${baseUrl}/waitlist/status/${encodeURIComponent(token)}`;
+  await sendMail({
+    to: entry.email,
+    subject: 'Your SPAMKLR waitlist status',
+    text: `Hi ${entry.name},\n\nView your place on the SPAMKLR waitlist here (valid for ${ttlMinutes} minutes):\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(entry.name)},</p><p>View your place on the SPAMKLR waitlist here (valid for ${ttlMinutes} minutes):</p><p><a href="${link}">See my status</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Resolve a status magic link to the entry's live waitlist details.
+ * Pending (unverified) entries have no position yet.
+ */
+async function getWaitlistStatus(token) {
+  const entry = token ? await findByStatusToken(hashToken(token)) : null;
+  if (!entry) {
+    throw new BusinessError('This status link is invalid or has expired. Please request a new one.', 'INVALID_TOKEN');
+  }
+  const verified = entry.status !== 'pending';
+  return {
+    name: entry.name,
+    email: entry.email,
+    joinedAt: entry.joinedAt,
+    verified,
+    position: verified ? await getQueuePosition(entry) : null,
+    referralCode: verified ? await ensureReferralCode(entry) : null,
+    referralCount: entry.referralCount || 0
+  };
 }
 
 async function getWaitlistStats() {
@@ -80,9 +284,18 @@ async function getWaitlistStats() {
   };
 }
 
+// Contact form dropdown values and the readable subject stored for each
+const CONTACT_SUBJECTS = {
+  'general': 'General Inquiry',
+  'support': 'Technical Support',
+  'business': 'Business Partnership',
+  'press': 'Press & Media',
+  'feedback': 'Feedback'
+};
+
 /**
  * Add a contact form submission with business rules:
- * - Input validation
+ * - Input validation, disposable & typo domain screening
  * - per-IP rate limiting
  */
 async function addContactSubmission({ name, email, subject, message, ipAddress = 'unknown', userAgent = 'unknown' }) {
@@ -92,17 +305,9 @@ async function addContactSubmission({ name, email, subject, message, ipAddress =
   if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
     throw new BusinessError('Please enter a valid email address', 'INVALID_EMAIL');
   }
+  await screenEmail(email);
   
-  // Convert dropdown values to readable subject
-  const subjectMap = {
-    'general': 'General Inquiry',
-    'support': 'Technical Support',
-    'business': 'Business Partnership',
-    'press': 'Press & Media',
-    'feedback': 'Feedback'
-  };
-  
-  if (!subject || !subjectMap[subject]) {
+  if (!subject || !CONTACT_SUBJECTS[subject]) {
     throw new BusinessError('Please select a valid subject', 'INVALID_SUBJECT');
   }
   
@@ -110,7 +315,7 @@ async function addContactSubmission({ name, email, subject, message, ipAddress =
     throw new BusinessError('Message must be at least 10 characters', 'INVALID_MESSAGE');
   }
   
-  const readableSubject = subjectMap[subject];
+  const readableSubject = CONTACT_SUBJECTS[subject];
 
   // per-IP throttle for contact form (default 5 per 24h)
   const ipLimit = parseInt(process.env.MAX_CONTACTS_PER_IP_24H, 10) || 5;
@@ -119,19 +324,31 @@ async function addContactSubmission({ name, email, subject, message, ipAddress =
     throw new BusinessError('Too many contact submissions from your location. Please try again tomorrow.', 'IP_RATE_LIMIT');
   }
 
-  try {
-    const entry = await insertContactEntry({
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      subject: readableSubject,
-      message: message.trim(),
-      ipAddress,
-      userAgent
-    });
-    return { entry };
-  } catch (err) {
-    throw err;
-  }
+  const entry = await insertContactEntry({
+    name: name.trim(),
+    email: email.toLowerCase().trim(),
+    subject: readableSubject,
+    message: message.trim(),
+    ipAddress,
+    userAgent
+  });
+  await emitWebhookEvent('contact.submitted', {
+    id: String(entry._id),
+    name: entry.name,
+    email: entry.email,
+    subject: entry.subject,
+    message: entry.message
+  });
+  return { entry };
 }
 
-module.exports = { addToWaitlist, getWaitlistStats, addContactSubmission, BusinessError };
+module.exports = {
+  addToWaitlist,
+  confirmWaitlistEntry,
+  requestStatusLink,
+  getWaitlistStatus,
+  getWaitlistStats,
+  addContactSubmission,
+  CONTACT_SUBJECTS,
+  BusinessError
+};
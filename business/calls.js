@@ -0,0 +1,119 @@
+// business/calls.js
+// Call events uploaded by devices (who called, when, for how long, and what
+// the app did about it), and per-device browsing of them.
+
+const { insertCallEvents, listCallEvents: listCallEventRecords } = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { normalizeNumber } = require('./phone');
+
+const MAX_BATCH = 500;
+
+// Clocks on phones drift; events up to this far in the future are accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function retentionDays() {
+  return parseInt(process.env.CALL_EVENT_RETENTION_DAYS, 10) || 90;
+}
+
+/**
+ * Public shape of an event.
+ */
+function toCallEvent(doc) {
+  return {
+    eventId: doc.eventId,
+    deviceId: doc.deviceId,
+    number: doc.number || null,
+    direction: doc.direction || 'incoming',
+    startedAt: new Date(doc.startedAt).toISOString(),
+    durationSeconds: doc.durationSeconds || 0,
+    verdict: doc.verdict || null,
+    action: doc.action,
+    spamScore: doc.spamScore != null ? doc.spamScore : null,
+    category: doc.category || null,
+    receivedAt: doc.receivedAt ? new Date(doc.receivedAt).toISOString() : null
+  };
+}
+
+function encodeCursor(doc) {
+  return Buffer.from(JSON.stringify({ t: new Date(doc.startedAt).toISOString(), id: String(doc._id) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const startedAt = new Date(t);
+    if (typeof id !== 'string' || Number.isNaN(startedAt.getTime())) throw new Error('bad cursor');
+    return { startedAt, id };
+  } catch (err) {
+    throw new BusinessError('cursor is not valid; use nextCursor from the previous page', 'INVALID_CURSOR');
+  }
+}
+
+/**
+ * Store a batch of a device's call events (shapes already checked by the
+ * route). Uploading is idempotent: events whose eventId was already stored
+ * are counted as duplicates, not stored again, so a device can safely retry
+ * a batch. Numbers and dates are checked here; any bad event rejects the
+ * whole batch with INVALID_CALL_EVENTS and a detail per field.
+ * Resolves to { received, inserted, duplicates }.
+ */
+async function ingestCallEvents(owner, { deviceId, events }, { region } = {}) {
+  if (!Array.isArray(events) || !events.length || events.length > MAX_BATCH) {
+    throw new BusinessError(`Send 1-${MAX_BATCH} events per batch`, 'INVALID_CALL_EVENTS');
+  }
+
+  const now = Date.now();
+  const oldest = now - retentionDays() * 24 * 60 * 60 * 1000;
+  const errors = [];
+  const docs = events.map((event, index) => {
+    const startedAt = new Date(event.startedAt);
+    if (startedAt.getTime() > now + CLOCK_SKEW_MS || startedAt.getTime() < oldest) {
+      errors.push({ field: `events[${index}].startedAt`, message: `startedAt must be within the last ${retentionDays()} days` });
+    }
+    let number = null;
+    if (event.number != null && event.number !== '') {
+      try {
+        number = normalizeNumber(event.number, region).e164;
+      } catch (err) {
+        if (!(err instanceof BusinessError)) throw err;
+        errors.push({ field: `events[${index}].number`, message: err.message });
+      }
+    }
+    return {
+      deviceId,
+      eventId: event.eventId,
+      number,
+      direction: event.direction || 'incoming',
+      startedAt,
+      durationSeconds: event.durationSeconds || 0,
+      verdict: event.verdict || null,
+      action: event.action,
+      spamScore: event.spamScore != null ? event.spamScore : undefined,
+      category: event.category || undefined,
+      expiresAt: new Date(startedAt.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+    };
+  });
+  if (errors.length) {
+    throw new BusinessError(errors.map(error => error.message).join('. '), 'INVALID_CALL_EVENTS', errors);
+  }
+
+  const { inserted, duplicates } = await insertCallEvents(owner, docs);
+  return { received: events.length, inserted, duplicates };
+}
+
+/**
+ * One page of a device's events, newest call first. Pass the returned
+ * nextCursor to get the next page; it is null on the last one.
+ */
+async function listCallEvents(owner, { deviceId, limit, cursor } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const before = cursor ? decodeCursor(cursor) : undefined;
+  const docs = await listCallEventRecords(owner, deviceId, { limit: pageSize + 1, before });
+  const page = docs.slice(0, pageSize);
+  return {
+    items: page.map(toCallEvent),
+    nextCursor: docs.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = { ingestCallEvents, listCallEvents, MAX_BATCH };
@@ -0,0 +1,133 @@
+// business/disposable-domains.js
+// Bundled list of disposable / throwaway email domains used by screening.js.
+// Keep it sorted. Extra domains can be supplied at runtime through
+// DISPOSABLE_DOMAINS_FILE without a redeploy.
+
+module.exports = [
+  '0-mail.com',
+  '10mail.org',
+  '10minutemail.co.uk',
+  '10minutemail.com',
+  '10minutemail.net',
+  '20minutemail.com',
+  'anonbox.net',
+  'armyspy.com',
+  'binkmail.com',
+  'bobmail.info',
+  'burnermail.io',
+  'byom.de',
+  'chammy.info',
+  'cool.fr.nf',
+  'crazymailing.com',
+  'cuvox.de',
+  'dayrep.com',
+  'devnullmail.com',
+  'discard.email',
+  'discardmail.com',
+  'dispostable.com',
+  'dropmail.me',
+  'e4ward.com',
+  'easytrashmail.com',
+  'einrot.com',
+  'email-fake.com',
+  'emailfake.com',
+  'emailondeck.com',
+  'emailtemporario.com.br',
+  'emltmp.com',
+  'ephemail.net',
+  'fakeinbox.com',
+  'fakemail.net',
+  'fakemailgenerator.com',
+  'filzmail.com',
+  'fleckens.hu',
+  'getairmail.com',
+  'getnada.com',
+  'grr.la',
+  'guerrillamail.biz',
+  'guerrillamail.com',
+  'guerrillamail.de',
+  'guerrillamail.info',
+  'guerrillamail.net',
+  'guerrillamail.org',
+  'guerrillamailblock.com',
+  'gustr.com',
+  'harakirimail.com',
+  'hidemail.de',
+  'inboxkitten.com',
+  'incognitomail.org',
+  'jetable.org',
+  'jourrapide.com',
+  'kasmail.com',
+  'linshiyouxiang.net',
+  'luxusmail.org',
+  'mail-temp.com',
+  'mail.tm',
+  'mailcatch.com',
+  'maildrop.cc',
+  'mailexpire.com',
+  'mailinator.com',
+  'mailinator.net',
+  'mailinator2.com',
+  'mailmetrash.com',
+  'mailnesia.com',
+  'mailnull.com',
+  'mailpoof.com',
+  'meltmail.com',
+  'mintemail.com',
+  'minuteinbox.com',
+  'moakt.com',
+  'mohmal.com',
+  'mt2015.com',
+  'mytemp.email',
+  'mytrashmail.com',
+  'nada.email',
+  'objectmail.com',
+  'pokemail.net',
+  'proxymail.eu',
+  'rcpt.at',
+  'rhyta.com',
+  'safetymail.info',
+  'sharklasers.com',
+  'sogetthis.com',
+  'spam4.me',
+  'spambox.us',
+  'spamdecoy.net',
+  'spamex.com',
+  'spamfree24.org',
+  'spamgourmet.com',
+  'spaml.com',
+  'superrito.com',
+  'teleworm.us',
+  'temp-mail.io',
+  'temp-mail.org',
+  'tempail.com',
+  'tempemail.net',
+  'tempinbox.com',
+  'tempm.com',
+  'tempmail.com',
+  'tempmail.net',
+  'tempmailaddress.com',
+  'tempmailer.com',
+  'tempmailo.com',
+  'tempr.email',
+  'thankyou2010.com',
+  'throwawaymail.com',
+  'tmail.ws',
+  'tmpmail.net',
+  'tmpmail.org',
+  'trash-mail.com',
+  'trashmail.com',
+  'trashmail.de',
+  'trashmail.me',
+  'trashmail.net',
+  'trashymail.com',
+  'trbvm.com',
+  'wegwerfmail.de',
+  'wegwerfmail.net',
+  'wh4f.org',
+  'yomail.info',
+  'yopmail.com',
+  'yopmail.fr',
+  'yopmail.net',
+  'zoemail.org'
+];
@@ -0,0 +1,14 @@
+// business/errors.js
+// Error type for expected business-rule failures. `code` drives the HTTP
+// status in the presentation layer; `details` carries extra response fields.
+
+class BusinessError extends Error {
+  constructor(message, code = 'BUSINESS_ERROR', details = undefined) {
+    super(message);
+    this.name = 'BusinessError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { BusinessError };
@@ -0,0 +1,134 @@
+// business/exports.js
+// Bulk export of waitlist and contact data as CSV or NDJSON, streamed row by
+// row from a database cursor so memory use stays flat at any size.
+
+const { streamWaitlistEntries, streamContactEntries } = require('../persistence/persistence');
+const { CONTACT_SUBJECTS } = require('./business');
+const { BusinessError } = require('./errors');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const CONTACT_STATUSES = ['new', 'read', 'replied'];
+
+const COLLECTIONS = {
+  waitlist: {
+    stream: streamWaitlistEntries,
+    fields: ['id', 'name', 'email', 'verified', 'joinedAt', 'confirmedAt', 'referralCode', 'referralCount', 'referredBy'],
+    toRow: doc => ({
+      id: String(doc._id),
+      name: doc.name,
+      email: doc.email,
+      verified: doc.status !== 'pending',
+      joinedAt: doc.joinedAt,
+      confirmedAt: doc.confirmedAt || null,
+      referralCode: doc.referralCode || null,
+      referralCount: doc.referralCount || 0,
+      referredBy: doc.referredBy ? String(doc.referredBy) : null
+    })
+  },
+  contacts: {
+    stream: streamContactEntries,
+    fields: ['id', 'name', 'email', 'subject', 'status', 'assignedTo', 'replyCount', 'createdAt', 'message'],
+    toRow: doc => ({
+      id: String(doc._id),
+      name: doc.name,
+      email: doc.email,
+      subject: doc.subject,
+      status: doc.status,
+      assignedTo: doc.assignedTo ? String(doc.assignedTo) : null,
+      replyCount: (doc.replies || []).length,
+      createdAt: doc.createdAt,
+      message: doc.message
+    })
+  }
+};
+
+function parseDate(value, label) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BusinessError(`Invalid ${label} date`, 'INVALID_EXPORT_FILTER');
+  }
+  return date;
+}
+
+/**
+ * Validate raw query filters into cursor filters for a collection.
+ * Dates are inclusive days: `to=2025-01-31` includes all of January 31st.
+ */
+function parseFilters(collection, query) {
+  const from = parseDate(query.from, 'from');
+  let to = parseDate(query.to, 'to');
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  }
+  const filters = { from, to };
+
+  if (collection === 'waitlist' && query.verified) {
+    if (!['true', 'false'].includes(query.verified)) {
+      throw new BusinessError('verified must be true or false', 'INVALID_EXPORT_FILTER');
+    }
+    filters.verified = query.verified === 'true';
+  }
+  if (collection === 'contacts' && query.subject) {
+    if (!CONTACT_SUBJECTS[query.subject]) {
+      throw new BusinessError('Unknown subject', 'INVALID_EXPORT_FILTER');
+    }
+    filters.subject = CONTACT_SUBJECTS[query.subject];
+  }
+  if (collection === 'contacts' && query.status) {
+    if (!CONTACT_STATUSES.includes(query.status)) {
+      throw new BusinessError('Unknown status', 'INVALID_EXPORT_FILTER');
+    }
+    filters.status = query.status;
+  }
+  return filters;
+}
+
+function csvValue(value) {
+  if (value == null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+async function* exportLines(spec, format, cursor) {
+  if (format === 'csv') yield csvLine(spec.fields);
+  for await (const doc of cursor) {
+    const row = spec.toRow(doc);
+    yield format === 'csv'
+      ? csvLine(spec.fields.map(field => row[field]))
+      : JSON.stringify(row) + '\n';
+  }
+}
+
+/**
+ * Prepare an export. Resolves to { filename, contentType, lines } where
+ * lines is an async iterable of text chunks (header first for CSV).
+ */
+function exportEntries(collection, format, query = {}) {
+  const spec = COLLECTIONS[collection];
+  if (!spec) {
+    throw new BusinessError('Unknown collection', 'INVALID_COLLECTION');
+  }
+  if (!FORMATS[format]) {
+    throw new BusinessError('Format must be csv or ndjson', 'INVALID_EXPORT_FORMAT');
+  }
+  const cursor = spec.stream(parseFilters(collection, query));
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    filename: `spamklr-${collection}-${date}.${FORMATS[format].extension}`,
+    contentType: FORMATS[format].contentType,
+    lines: exportLines(spec, format, cursor)
+  };
+}
+
+module.exports = { exportEntries, CONTACT_STATUSES };
@@ -0,0 +1,110 @@
+// business/inbox.js
+// Contact inbox triage: status workflow, assignment, internal notes and replies.
+
+const {
+  findContactById,
+  updateContactStatus,
+  setContactAssignee,
+  addContactNote,
+  addContactReply,
+  findAdminById
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { sendMail } = require('./mailer');
+
+// Allowed manual moves. Sending a reply always moves a message to 'replied'.
+const STATUS_TRANSITIONS = {
+  new: ['read'],
+  read: ['new', 'replied'],
+  replied: ['read']
+};
+
+async function loadContact(id) {
+  const contact = await findContactById(id);
+  if (!contact) {
+    throw new BusinessError('Contact message not found', 'CONTACT_NOT_FOUND');
+  }
+  return contact;
+}
+
+/**
+ * A contact message with its assignee, notes and reply thread.
+ */
+async function getContact(id) {
+  return loadContact(id);
+}
+
+/**
+ * Move a message through new -> read -> replied (and back).
+ */
+async function changeContactStatus(id, status) {
+  const contact = await loadContact(id);
+  const allowed = STATUS_TRANSITIONS[contact.status] || [];
+  if (!allowed.includes(status)) {
+    throw new BusinessError(`Cannot move a message from "${contact.status}" to "${status}"`, 'INVALID_STATUS_TRANSITION');
+  }
+  if (!await updateContactStatus(id, contact.status, status)) {
+    throw new BusinessError('This message was updated by someone else. Please reload.', 'CONFLICT');
+  }
+  return loadContact(id);
+}
+
+/**
+ * Assign a message to an operator; an empty assigneeId unassigns it.
+ */
+async function assignContact(id, assigneeId) {
+  await loadContact(id);
+  if (assigneeId && !await findAdminById(assigneeId)) {
+    throw new BusinessError('Unknown operator', 'INVALID_ASSIGNEE');
+  }
+  await setContactAssignee(id, assigneeId || null);
+  return loadContact(id);
+}
+
+/**
+ * Add an internal note, attributed to the operator writing it.
+ */
+async function addInternalNote(id, admin, body) {
+  const text = String(body || '').trim();
+  if (text.length < 1 || text.length > 2000) {
+    throw new BusinessError('Note must be between 1 and 2000 characters', 'INVALID_NOTE');
+  }
+  await loadContact(id);
+  await addContactNote(id, { author: admin.username, body: text });
+  return loadContact(id);
+}
+
+/**
+ * Email a reply to the sender and keep it on the message's reply thread.
+ */
+async function replyToContact(id, admin, { subject, body }) {
+  const text = String(body || '').trim();
+  if (text.length < 1 || text.length > 5000) {
+    throw new BusinessError('Reply must be between 1 and 5000 characters', 'INVALID_REPLY');
+  }
+  const contact = await loadContact(id);
+  const replySubject = String(subject || '').trim().slice(0, 200) || `Re: ${contact.subject}`;
+
+  const info = await sendMail({
+    to: contact.email,
+    subject: replySubject,
+    text: `${text}\n\n— ${admin.username}, SPAMKLR team`
+  });
+  await addContactReply(id, {
+    author: admin.username,
+    to: contact.email,
+    subject: replySubject,
+    body: text,
+    messageId: info && info.messageId
+  });
+  return loadContact(id);
+}
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  getContact,
+  changeContactStatus,
+  assignContact,
+  addInternalNote,
+  replyToContact
+};
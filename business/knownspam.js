@@ -0,0 +1,157 @@
+// business/knownspam.js
+// The known-spam number list maintained by operators, and the versioned
+// sync feed that ships it to devices for offline protection: full snapshots
+// or only the changes since the version a device already has.
+
+const {
+  findLatestKnownSpamVersion,
+  saveKnownSpamNumber,
+  removeKnownSpamNumber,
+  findAllKnownSpamNumbers,
+  findKnownSpamChanges,
+  countKnownSpamChanges,
+  getBackend
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { normalizeNumber } = require('./phone');
+const { encodeSorted, encodeBloom, CATEGORY_CODES } = require('./sync-formats');
+
+const KNOWN_SPAM_CATEGORIES = CATEGORY_CODES;
+const SYNC_FORMATS = ['json', 'sorted', 'bloom'];
+const MAX_BULK = 1000;
+
+// Attempts at taking the next version when other changes race for it
+const VERSION_ATTEMPTS = 5;
+
+// Snapshots are the same for everyone at a version, so the latest is kept
+// per backend and format
+const snapshotCache = new WeakMap();
+
+/**
+ * Run `change(version)` with the next list version, retrying on the unique
+ * version index when another change took it first.
+ */
+async function atNextVersion(change) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await change((await findLatestKnownSpamVersion()) + 1);
+    } catch (err) {
+      if (!(err && err.code === 11000) || attempt >= VERSION_ATTEMPTS) throw err;
+    }
+  }
+}
+
+function parseCategory(category) {
+  if (!KNOWN_SPAM_CATEGORIES.includes(category)) {
+    throw new BusinessError(`Category must be one of ${KNOWN_SPAM_CATEGORIES.join(', ')}`, 'INVALID_CATEGORY');
+  }
+  return category;
+}
+
+/**
+ * Add numbers to the list, or update their category and label if listed.
+ * `numbers` is a list or text with one number per line (commas and
+ * semicolons also separate). Unparseable lines are returned, not stored.
+ * Resolves to { saved, errors: [{ input, message }], version }.
+ */
+async function addKnownSpamNumbers({ numbers, category, label, addedBy, region }) {
+  const inputs = (Array.isArray(numbers) ? numbers : String(numbers || '').split(/[\n,;]+/))
+    .map(input => String(input).trim())
+    .filter(Boolean);
+  if (!inputs.length || inputs.length > MAX_BULK) {
+    throw new BusinessError(`Enter 1-${MAX_BULK} numbers`, 'INVALID_NUMBERS');
+  }
+  const cleanCategory = parseCategory(category);
+  const cleanLabel = String(label || '').trim().slice(0, 100) || undefined;
+
+  const parsed = new Set();
+  const errors = [];
+  for (const input of inputs) {
+    try {
+      parsed.add(normalizeNumber(input, region).e164);
+    } catch (err) {
+      if (!(err instanceof BusinessError)) throw err;
+      errors.push({ input, message: err.message });
+    }
+  }
+
+  let version = await findLatestKnownSpamVersion();
+  for (const number of parsed) {
+    const saved = await atNextVersion(next =>
+      saveKnownSpamNumber(number, { category: cleanCategory, label: cleanLabel, addedBy, version: next }));
+    version = saved.version;
+  }
+  return { saved: parsed.size, errors, version };
+}
+
+async function removeKnownSpam(number) {
+  const e164 = normalizeNumber(number).e164;
+  const removed = await atNextVersion(version => removeKnownSpamNumber(e164, { version }));
+  if (!removed) {
+    throw new BusinessError('That number is not on the known-spam list', 'KNOWN_SPAM_NOT_FOUND');
+  }
+  return removed;
+}
+
+/**
+ * The list at its current version, or the changes since `since`. Deltas are
+ * sent when the device has a version we know and the changes are smaller than
+ * a snapshot; otherwise (first sync, a version from the future, or a lot of
+ * churn) a snapshot. The bloom format only has snapshots.
+ * Resolves to { type, version, since, format, etag, body } where body is
+ * a plain object for json and a Buffer for the binary formats.
+ */
+async function getKnownSpamSync({ since, format = 'json' } = {}) {
+  if (!SYNC_FORMATS.includes(format)) {
+    throw new BusinessError(`format must be one of ${SYNC_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const version = await findLatestKnownSpamVersion();
+  const from = since === undefined || since === null || since === '' ? null : Number(since);
+  if (from !== null && (!Number.isInteger(from) || from < 0)) {
+    throw new BusinessError('since must be a version number from a previous sync', 'INVALID_VERSION');
+  }
+
+  let delta = null;
+  if (format !== 'bloom' && from !== null && from <= version) {
+    const changes = from === version ? [] : await findKnownSpamChanges(from);
+    const total = from === version ? 0 : await countKnownSpamChanges(0);
+    // A delta listing most of the list is no smaller than a snapshot
+    if (changes.length <= Math.max(total / 2, 100)) {
+      delta = {
+        type: 'delta',
+        version,
+        since: from,
+        added: changes.filter(doc => !doc.removedAt).map(({ number, category }) => ({ number, category })),
+        removed: changes.filter(doc => doc.removedAt).map(doc => doc.number)
+      };
+    }
+  }
+
+  const etag = `"known-spam-${format}-${delta ? `${from}-` : ''}${version}"`;
+  if (delta) {
+    return { ...delta, format, etag, body: format === 'json' ? delta : encodeSorted(delta) };
+  }
+
+  if (!snapshotCache.has(getBackend())) snapshotCache.set(getBackend(), new Map());
+  const cache = snapshotCache.get(getBackend());
+  const cached = cache.get(format);
+  if (cached && cached.version === version) return cached;
+  const snapshot = {
+    type: 'snapshot',
+    version,
+    since: null,
+    numbers: (await findAllKnownSpamNumbers()).map(({ number, category }) => ({ number, category }))
+  };
+  const encoders = { json: () => snapshot, sorted: () => encodeSorted(snapshot), bloom: () => encodeBloom(snapshot) };
+  const result = { type: 'snapshot', version, since: null, format, etag, body: encoders[format]() };
+  cache.set(format, result);
+  return result;
+}
+
+module.exports = {
+  KNOWN_SPAM_CATEGORIES,
+  SYNC_FORMATS,
+  addKnownSpamNumbers,
+  removeKnownSpam,
+  getKnownSpamSync
+};
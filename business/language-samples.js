@@ -0,0 +1,138 @@
+// business/language-samples.js
+// Sample text the language identifier (language.js) builds its character
+// n-gram profiles from: everyday speech and the kind of thing said on calls.
+// Latin-script samples of Arabic, Hindi and Urdu cover the way these languages
+// are typed in chats and transcribed from calls. Add sentences rather than
+// replacing them; more varied text makes better profiles.
+
+module.exports = [
+  {
+    language: 'en',
+    script: 'Latn',
+    text: `Hello, how are you today? I am calling from the customer service team about your account.
+      Thank you for your patience, please hold the line while I check the details for you.
+      We noticed some unusual activity and we need to confirm a few things before we can continue.
+      Can you tell me your full name and the last four digits of your card number?
+      I will send you a message with a code, please do not share it with anyone else.
+      Sorry, I did not hear that, could you repeat it a little more slowly please?
+      The delivery will arrive tomorrow morning between nine and twelve, is someone going to be at home?
+      My brother works in the city and he usually calls our mother every weekend.
+      If you have any questions, you can reach us at this number or visit our website.
+      Congratulations, you have won a prize, just pay a small fee to receive the money.
+      Where are you now? I am on my way, the traffic is really bad this evening.
+      We would like to offer you a special discount on your next purchase with us.
+      Have a good day and thank you for choosing our service, goodbye.`
+  },
+  {
+    language: 'tl',
+    script: 'Latn',
+    text: `Magandang umaga po, kumusta po kayo ngayong araw na ito?
+      Ito po ay tawag mula sa bangko tungkol sa inyong account, may kailangan lang po kaming kumpirmahin.
+      Pakibigay po ang inyong buong pangalan at ang huling apat na numero ng inyong card.
+      Hindi ko po narinig, pakiulit po ninyo nang dahan-dahan.
+      Salamat po sa inyong pasensya, sandali lang po at titingnan ko ang mga detalye.
+      Nasaan ka na ba ngayon? Papunta na ako, sobrang traffic dito sa amin.
+      Ang kapatid ko ay nagtatrabaho sa Doha at tumatawag siya sa nanay namin tuwing Linggo.
+      Magpapadala ako ng pera bukas para sa mga bata at sa bayad sa bahay.
+      Huwag mong ibigay ang code sa kahit sino, kahit sabihin nilang taga bangko sila.
+      Nanalo po kayo ng premyo, magbayad lang po ng maliit na halaga para makuha ninyo.
+      Oo naman, kailangan natin mag-usap mamaya pagkatapos ng trabaho ko.
+      Wala akong load ngayon kaya hindi ako makatawag, mag-text ka na lang sa akin.
+      Maraming salamat po at magandang araw sa inyong lahat, paalam po.`
+  },
+  {
+    language: 'ar',
+    script: 'Arab',
+    text: `السلام عليكم، كيف حالك اليوم؟ معك خدمة العملاء بخصوص حسابك في البنك.
+      شكرا لصبرك، انتظر قليلا على الخط حتى أتحقق من التفاصيل.
+      لاحظنا نشاطا غير معتاد على حسابك ونحتاج إلى تأكيد بعض المعلومات.
+      هل يمكنك أن تخبرني باسمك الكامل وآخر أربعة أرقام من رقم البطاقة؟
+      سوف نرسل لك رسالة فيها رمز، من فضلك لا تشاركه مع أي شخص.
+      عفوا ما سمعتك، ممكن تعيد الكلام شوي شوي؟
+      وين انت الحين؟ أنا في الطريق والزحمة وايد اليوم.
+      أخوي يشتغل في الدوحة ويتصل على أمي كل نهاية أسبوع.
+      مبروك لقد ربحت جائزة، ادفع رسوما بسيطة فقط لتستلم المبلغ.
+      إذا عندك أي سؤال تقدر تتواصل معنا على هذا الرقم أو تزور موقعنا.
+      الله يعطيك العافية، إن شاء الله نشوفك بكرة بعد الدوام.
+      نود أن نقدم لك خصما خاصا على مشترياتك القادمة.
+      شكرا لاختيارك خدماتنا، مع السلامة.`
+  },
+  {
+    language: 'ur',
+    script: 'Arab',
+    text: `السلام علیکم، آپ کیسے ہیں؟ میں آپ کے بینک کی کسٹمر سروس سے بات کر رہا ہوں۔
+      آپ کے صبر کا شکریہ، براہ کرم لائن پر رہیں، میں تفصیلات چیک کر رہا ہوں۔
+      ہم نے آپ کے اکاؤنٹ میں کچھ غیر معمولی سرگرمی دیکھی ہے اور ہمیں کچھ باتوں کی تصدیق کرنی ہے۔
+      کیا آپ مجھے اپنا پورا نام اور کارڈ نمبر کے آخری چار ہندسے بتا سکتے ہیں؟
+      ہم آپ کو ایک کوڈ بھیجیں گے، براہ مہربانی یہ کسی کو نہ بتائیں۔
+      معاف کیجیے، میں نے نہیں سنا، کیا آپ دوبارہ آہستہ سے بول سکتے ہیں؟
+      آپ ابھی کہاں ہیں؟ میں راستے میں ہوں، آج ٹریفک بہت زیادہ ہے۔
+      میرا بھائی دوحہ میں کام کرتا ہے اور ہر ہفتے امی کو فون کرتا ہے۔
+      مبارک ہو، آپ نے انعام جیتا ہے، رقم لینے کے لیے تھوڑی سی فیس ادا کریں۔
+      اگر آپ کا کوئی سوال ہو تو اس نمبر پر رابطہ کریں یا ہماری ویب سائٹ دیکھیں۔
+      ٹھیک ہے، کام کے بعد شام کو بات کرتے ہیں، ان شاء اللہ۔
+      ہماری سروس منتخب کرنے کا شکریہ، خدا حافظ۔`
+  },
+  {
+    language: 'hi',
+    script: 'Deva',
+    text: `नमस्ते, आप कैसे हैं? मैं आपके बैंक की ग्राहक सेवा से बात कर रहा हूँ।
+      आपके धैर्य के लिए धन्यवाद, कृपया लाइन पर बने रहें, मैं विवरण देख रहा हूँ।
+      हमने आपके खाते में कुछ असामान्य गतिविधि देखी है और कुछ बातों की पुष्टि करनी है।
+      क्या आप मुझे अपना पूरा नाम और कार्ड नंबर के आखिरी चार अंक बता सकते हैं?
+      हम आपको एक कोड भेजेंगे, कृपया इसे किसी के साथ साझा न करें।
+      माफ़ कीजिए, मैंने सुना नहीं, क्या आप दोबारा धीरे से बोल सकते हैं?
+      आप अभी कहाँ हैं? मैं रास्ते में हूँ, आज ट्रैफिक बहुत ज़्यादा है।
+      मेरा भाई दोहा में काम करता है और हर हफ्ते माँ को फोन करता है।
+      बधाई हो, आपने इनाम जीता है, पैसे पाने के लिए थोड़ी सी फीस भरें।
+      अगर आपका कोई सवाल हो तो इस नंबर पर संपर्क करें या हमारी वेबसाइट देखें।
+      ठीक है, काम के बाद शाम को बात करते हैं।
+      हमारी सेवा चुनने के लिए धन्यवाद, नमस्ते।`
+  },
+  {
+    language: 'ar',
+    script: 'Latn',
+    text: `salam 3alaykum, kifak el yom? ana m3ak mn khidmat el 3omala bikhsos 7sabak.
+      shukran 3ala sabrak, intather shway 3ala el khat 7ata at2akad mn el tafasil.
+      shlonak? wayed zain el 7amdulillah, w enta shlonak?
+      3teni esmak el kamel w akher arba3 ar8am mn ra8m el bita8a.
+      ra7 nirsil lak rasala fiha code, law sama7t la tsharek 7ad fiha.
+      3afwan ma sm3tak, mumkin t3eed el kalam shway shway?
+      wen enta el 7een? ana fi el taree8 w el za7ma wayed el yom.
+      akhoy yishtaghil fi el do7a w yitasil 3ala umi kil nihayat osbo3.
+      mabrook, rba7t ja2iza, idfa3 rsoom baseeta bas 3ashan tistalim el mablagh.
+      inshallah nshofak bukra ba3d el dawam, yalla ma3a salama.
+      wallah ma adri, ya3ni shu bidak mni? habibi 5alas.
+      ahlan w sahlan, tfaddal, keef 7alak?`
+  },
+  {
+    language: 'hi',
+    script: 'Latn',
+    text: `namaste, aap kaise hain? main aapke bank ki customer service se baat kar raha hoon.
+      aapke dhairya ke liye dhanyavaad, kripya line par bane rahiye, main vivaran dekh raha hoon.
+      humne aapke khaate mein kuch asamanya gatividhi dekhi hai aur kuch baaton ki pushti karni hai.
+      kya aap mujhe apna poora naam aur card number ke aakhri chaar ank bata sakte hain?
+      hum aapko ek code bhejenge, kripya ise kisi ke saath share na karein.
+      maaf kijiye, maine suna nahi, kya aap dobara dheere se bol sakte hain?
+      aap abhi kahan ho? main raste mein hoon, aaj traffic bahut zyada hai.
+      mera bhai doha mein kaam karta hai aur har hafte maa ko phone karta hai.
+      badhai ho, aapne inaam jeeta hai, paise paane ke liye thodi si fees bhariye.
+      accha theek hai, kaam ke baad shaam ko baat karte hain, chalo bye.
+      arre yaar, kya kar rahe ho? bas aise hi, ghar par hoon.`
+  },
+  {
+    language: 'ur',
+    script: 'Latn',
+    text: `assalam o alaikum, aap kaise hain? main aap ke bank ki customer service se baat kar raha hoon.
+      aap ke sabar ka shukriya, meherbani kar ke line par rahein, main tafseelat check kar raha hoon.
+      hum ne aap ke account mein kuch ghair mamooli sargarmi dekhi hai aur kuch baaton ki tasdeeq karni hai.
+      kya aap mujhe apna poora naam aur card number ke aakhri chaar hindse bata sakte hain?
+      hum aap ko aik code bhejain ge, meherbani kar ke ye kisi ko na batayen.
+      maazrat, main ne nahin suna, kya aap dobara aahista se bol sakte hain?
+      aap abhi kahan hain? main raste mein hoon, aaj traffic bohat zyada hai.
+      mera bhai doha mein kaam karta hai aur har hafte ammi ko phone karta hai.
+      mubarak ho, aap ne inaam jeeta hai, raqam lene ke liye thori si fees ada karein.
+      theek hai janab, kaam ke baad shaam ko baat karte hain, inshallah, khuda hafiz.
+      yaar kya haal hai? sab khairiyat hai, shukar hai allah ka.`
+  }
+];
@@ -0,0 +1,165 @@
+// business/language.js
+// Lightweight language identification for transcripts and messages:
+// character n-gram profiles per language and script, built at start-up from
+// language-samples.js. Text mixing scripts is split and each part scored
+// separately, so "Please 3teni el code" or Hindi typed in Latin letters work.
+
+const { BusinessError } = require('./errors');
+const SAMPLES = require('./language-samples');
+
+const LANGUAGE_NAMES = { en: 'English', ar: 'Arabic', hi: 'Hindi', ur: 'Urdu', tl: 'Tagalog' };
+
+// Script each language is natively written in; other scripts mean transliteration
+const NATIVE_SCRIPT = { en: 'Latn', tl: 'Latn', ar: 'Arab', ur: 'Arab', hi: 'Deva' };
+
+const SCRIPTS = {
+  Arab: /\p{Script=Arabic}/u,
+  Deva: /\p{Script=Devanagari}/u,
+  Latn: /\p{Script=Latin}/u
+};
+
+const NGRAM_SIZES = [1, 2, 3];
+const MAX_TEXT_LENGTH = 20000;
+// Only the start of long texts is scored; it is plenty to tell languages apart
+const SCORED_LENGTH = 2000;
+// Below this many letters a result is returned but marked unreliable
+const MIN_RELIABLE_LETTERS = 12;
+// ...and a guess is only named when one language clearly leads; a couple of
+// letters such as "ok" otherwise land on whichever profile they happen to fit
+const SHORT_TEXT_CONFIDENCE = 0.7;
+
+const WORD = /[\p{L}\p{M}0-9]+/gu;
+// Diacritics, superscript alef and tatweel carry no language signal here
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/g;
+
+function scriptOf(word) {
+  const counts = {};
+  for (const char of word) {
+    const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].test(char));
+    if (script) counts[script] = (counts[script] || 0) + 1;
+  }
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+}
+
+/**
+ * Words grouped by script: { Latn: ['please', '3teni'], Arab: [...] }. Digits
+ * count only inside Latin words, where they stand for Arabic letters (3 = ع).
+ */
+function wordsByScript(text) {
+  const groups = {};
+  for (const [raw] of text.toLowerCase().replace(ARABIC_MARKS, '').matchAll(WORD)) {
+    const script = scriptOf(raw);
+    if (!script) continue;
+    const word = script === 'Latn' ? raw : raw.replace(/[0-9]/g, '');
+    (groups[script] = groups[script] || []).push(word);
+  }
+  return groups;
+}
+
+/**
+ * Counts of the 1-3 character n-grams of words, each padded with spaces.
+ */
+function ngrams(words) {
+  const counts = new Map();
+  for (const word of words) {
+    const padded = ` ${word} `;
+    for (const size of NGRAM_SIZES) {
+      for (let i = 0; i + size <= padded.length; i++) {
+        const gram = padded.slice(i, i + size);
+        if (gram !== ' ') counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+// Profiles per script: [{ language, counts, total }]
+const PROFILES = {};
+for (const sample of SAMPLES) {
+  const words = wordsByScript(sample.text)[sample.script] || [];
+  const counts = ngrams(words);
+  const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+  (PROFILES[sample.script] = PROFILES[sample.script] || []).push({ language: sample.language, counts, total });
+}
+const VOCABULARY = Object.fromEntries(Object.entries(PROFILES).map(([script, profiles]) =>
+  [script, new Set(profiles.flatMap(profile => [...profile.counts.keys()])).size]));
+
+/**
+ * Probability of each language written in `script` for these words: a naive
+ * Bayes score per n-gram, averaged and tempered so short texts stay uncertain.
+ */
+function scoreScript(script, words) {
+  const profiles = PROFILES[script] || [];
+  if (profiles.length === 1) return [{ language: profiles[0].language, probability: 1 }];
+
+  const grams = ngrams(words);
+  const seen = [...grams.values()].reduce((sum, count) => sum + count, 0);
+  const scores = profiles.map(profile => {
+    let logProbability = 0;
+    for (const [gram, count] of grams) {
+      logProbability += count * Math.log(((profile.counts.get(gram) || 0) + 0.5) / (profile.total + 0.5 * VOCABULARY[script]));
+    }
+    return { language: profile.language, score: (logProbability / seen) * Math.sqrt(seen) };
+  });
+
+  const best = Math.max(...scores.map(entry => entry.score));
+  const weights = scores.map(entry => Math.exp(entry.score - best));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  return scores.map((entry, index) => ({ language: entry.language, probability: weights[index] / sum }));
+}
+
+/**
+ * Identify the languages of a text. Resolves to
+ * { language (best guess, or "und" when the text is too short to guess),
+ *   reliable, mixed (several scripts), scripts: [{ script, share }],
+ *   languages: [{ language, name, confidence, scripts, transliterated }] }
+ * with languages ranked by confidence (0-1, summing to about 1). A language
+ * is transliterated when it was found written in a script other than its own.
+ */
+function identifyLanguage(text) {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+    throw new BusinessError(`text must be 1-${MAX_TEXT_LENGTH} characters`, 'INVALID_TEXT');
+  }
+
+  const groups = wordsByScript(text.slice(0, SCORED_LENGTH));
+  const letters = Object.fromEntries(Object.entries(groups).map(([script, words]) =>
+    [script, words.reduce((sum, word) => sum + word.length, 0)]));
+  const totalLetters = Object.values(letters).reduce((sum, count) => sum + count, 0);
+
+  const found = new Map();
+  for (const [script, words] of Object.entries(groups)) {
+    const share = letters[script] / totalLetters;
+    for (const { language, probability } of scoreScript(script, words)) {
+      const entry = found.get(language) || { language, name: LANGUAGE_NAMES[language], confidence: 0, scripts: [], transliterated: false };
+      entry.confidence += share * probability;
+      // Scripts where the language is only a faint possibility are not listed
+      if (share * probability >= 0.05) {
+        entry.scripts.push(script);
+        entry.transliterated = entry.transliterated || script !== NATIVE_SCRIPT[language];
+      }
+      found.set(language, entry);
+    }
+  }
+
+  const languages = [...found.values()]
+    .map(entry => ({ ...entry, confidence: Math.round(entry.confidence * 100) / 100 }))
+    .filter(entry => entry.confidence >= 0.01)
+    .sort((a, b) => b.confidence - a.confidence || a.language.localeCompare(b.language));
+  const scripts = Object.keys(letters)
+    .map(script => ({ script, share: Math.round((letters[script] / totalLetters) * 100) / 100 }))
+    .sort((a, b) => b.share - a.share);
+
+  const [best] = languages;
+  const short = totalLetters < MIN_RELIABLE_LETTERS;
+
+  return {
+    language: best && (!short || best.confidence >= SHORT_TEXT_CONFIDENCE) ? best.language : 'und',
+    reliable: !short && Boolean(best) && best.confidence >= 0.5,
+    mixed: scripts.filter(entry => entry.share >= 0.15).length > 1,
+    scripts,
+    languages
+  };
+}
+
+module.exports = { identifyLanguage, LANGUAGE_NAMES };
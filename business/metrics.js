@@ -0,0 +1,146 @@
+// business/metrics.js
+// In-process metrics in the Prometheus text exposition format (version
+// 0.0.4): counters, histograms and gauges read at scrape time. Values live
+// in this process only and reset on restart, as Prometheus expects.
+
+const PREFIX = 'spamklr_';
+
+// Request latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function counter(name, help) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+    render() {
+      return [...header(name, help, 'counter'),
+        ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)];
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = header(name, help, 'histogram');
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+/**
+ * A gauge whose series are read when scraped: `collect()` returns
+ * [{ labels, value }].
+ */
+function gauge(name, help, collect) {
+  const metric = {
+    render() {
+      return [...header(name, help, 'gauge'),
+        ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)];
+    }
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+const httpRequests = counter(`${PREFIX}http_requests_total`, 'HTTP requests answered, by method, route and status code.');
+const httpDuration = histogram(`${PREFIX}http_request_duration_seconds`, 'Time to answer HTTP requests, by method, route and status code.', LATENCY_BUCKETS);
+const businessErrors = counter(`${PREFIX}business_errors_total`, 'Requests refused by a business rule, by error code.');
+const rateLimited = counter(`${PREFIX}rate_limit_rejections_total`, 'Requests refused by a rate limiter or quota, by limiter.');
+
+let databaseStatus = () => ({ backend: 'unknown', status: 'disconnected' });
+
+gauge(`${PREFIX}database_up`, 'Whether the persistence backend is connected (1) or not (0).', () => {
+  const { backend, status } = databaseStatus();
+  return [{ labels: { backend }, value: status === 'connected' ? 1 : 0 }];
+});
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => [{ value: process.memoryUsage().rss }]);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes.', () => [{ value: process.memoryUsage().heapUsed }]);
+gauge('process_uptime_seconds', 'Seconds since the process started.', () => [{ value: Math.round(process.uptime()) }]);
+
+/**
+ * Record an answered request. `route` should be the route pattern (e.g.
+ * "/join/verify/:token"), never the raw path, to keep label values bounded.
+ */
+function observeRequest({ method, route, status, seconds }) {
+  const labels = { method, route: route || 'unmatched', status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+function countBusinessError(err) {
+  businessErrors.inc({ code: err.code || 'UNKNOWN' });
+}
+
+function countRateLimited(limiter) {
+  rateLimited.inc({ limiter });
+}
+
+/**
+ * Where the database_up gauge reads connection state from (getDBStatus).
+ */
+function setDatabaseStatus(getStatus) {
+  databaseStatus = getStatus;
+}
+
+/**
+ * Every metric in the Prometheus text format.
+ */
+function renderMetrics() {
+  return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  observeRequest,
+  countBusinessError,
+  countRateLimited,
+  setDatabaseStatus,
+  renderMetrics
+};
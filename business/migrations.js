@@ -0,0 +1,41 @@
+// business/migrations.js
+// One-off data migrations, run at startup. Each is claimed by name before it
+// runs, so it runs once even when several instances start together.
+
+const { claimMigration, completeMigration, rewriteSubmittedText } = require('../persistence/persistence');
+const { logger } = require('./logger');
+
+// Entities express-validator's escape() wrote into submitted text
+const HTML_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"',
+  '&#x27;': "'", '&#x2F;': '/', '&#x5C;': '\\', '&#96;': '`'
+};
+
+function unescapeHtml(value) {
+  return typeof value === 'string'
+    ? value.replace(/&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity])
+    : value;
+}
+
+const MIGRATIONS = [
+  {
+    // Names and messages used to be stored HTML-escaped; they are now stored
+    // as typed and escaped where they are rendered
+    name: 'unescape-submitted-text',
+    run: () => rewriteSubmittedText(unescapeHtml)
+  }
+];
+
+/**
+ * Run the migrations no instance has claimed yet, in order.
+ */
+async function runMigrations() {
+  for (const { name, run } of MIGRATIONS) {
+    if (!(await claimMigration(name))) continue;
+    const result = await run();
+    await completeMigration(name);
+    logger.info('Applied data migration', { migration: name, result });
+  }
+}
+
+module.exports = { runMigrations };
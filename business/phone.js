@@ -0,0 +1,40 @@
+// business/phone.js
+// Phone number normalisation to E.164, shared by every number-based feature.
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { BusinessError } = require('./errors');
+
+/**
+ * Region assumed for numbers written without a country code.
+ */
+function defaultRegion() {
+  return (process.env.DEFAULT_PHONE_REGION || 'QA').toUpperCase();
+}
+
+/**
+ * Parse a number as typed or as shown by the dialler ("+974 5512 3456",
+ * "00974...", "5512 3456" with region QA). Throws INVALID_NUMBER when it
+ * cannot be a phone number at all. Resolves to
+ * { e164, country, type, valid } where valid is false for numbers that are
+ * well-formed but not allocated in their numbering plan.
+ */
+function normalizeNumber(input, region = defaultRegion()) {
+  const raw = String(input || '').trim();
+  if (!raw || raw.length > 32 || !/^[+\d\s().\-\/]+$/.test(raw)) {
+    throw new BusinessError('Please provide a phone number', 'INVALID_NUMBER');
+  }
+  // International prefix written as 00 instead of +
+  const text = raw.replace(/^00/, '+');
+  const parsed = parsePhoneNumberFromString(text, String(region || '').toUpperCase() || undefined);
+  if (!parsed || !parsed.isPossible()) {
+    throw new BusinessError('That does not look like a valid phone number', 'INVALID_NUMBER');
+  }
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    type: parsed.getType() || null,
+    valid: parsed.isValid()
+  };
+}
+
+module.exports = { normalizeNumber, defaultRegion };
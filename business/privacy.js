@@ -0,0 +1,204 @@
+// business/privacy.js
+// Data-subject requests (GDPR / Qatar PDPPL): verified export and erasure,
+// each recorded in a hash-chained, tamper-evident audit log.
+
+const crypto = require('crypto');
+const {
+  insertPrivacyRequest,
+  findPrivacyRequestByToken,
+  claimPrivacyRequest,
+  findPersonalData,
+  erasePersonalData,
+  getLastPrivacyAudit,
+  insertPrivacyAudit,
+  listPrivacyAudits
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { sendMail } = require('./mailer');
+const { createToken, hashToken } = require('./tokens');
+
+const REQUEST_TYPES = ['export', 'erase'];
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Keyed hash of an email address, so the audit log proves which subject a
+ * request concerned without storing (or letting anyone guess) the address.
+ */
+function subjectHash(email) {
+  const key = process.env.PRIVACY_AUDIT_KEY || process.env.SESSION_SECRET || 'spamklr-privacy-audit';
+  return crypto.createHmac('sha256', key).update(email.toLowerCase().trim()).digest('hex');
+}
+
+/**
+ * Hash of an audit record's content chained to its predecessor's hash.
+ * Records from before webhook deliveries were counted hash without them.
+ */
+function auditHash({ seq, requestId, type, subjectHash, affected, completedAt, prevHash }) {
+  const canonical = JSON.stringify([
+    seq,
+    String(requestId),
+    type,
+    subjectHash,
+    affected.waitlist,
+    affected.contacts,
+    ...(affected.webhookDeliveries === undefined ? [] : [affected.webhookDeliveries]),
+    new Date(completedAt).toISOString(),
+    prevHash
+  ]);
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+async function appendAudit({ requestId, type, email, affected }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await getLastPrivacyAudit();
+    const record = {
+      seq: last ? last.seq + 1 : 1,
+      requestId,
+      type,
+      subjectHash: subjectHash(email),
+      affected,
+      completedAt: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    record.hash = auditHash(record);
+    try {
+      await insertPrivacyAudit(record);
+      return record;
+    } catch (err) {
+      // Lost a race for this seq: rebuild on the new chain head
+      if (!(err && err.code === 11000)) throw err;
+    }
+  }
+  throw new Error('Could not append privacy audit record');
+}
+
+/**
+ * Start a data-subject request. A confirmation link is emailed to the
+ * address; nothing is exported or erased until it is opened.
+ */
+async function requestDataSubjectAction({ email, type, baseUrl, ipAddress = 'unknown' }) {
+  if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new BusinessError('Please enter a valid email address', 'INVALID_EMAIL');
+  }
+  if (!REQUEST_TYPES.includes(type)) {
+    throw new BusinessError('Please choose export or erasure', 'INVALID_REQUEST_TYPE');
+  }
+
+  const ttlHours = parseInt(process.env.PRIVACY_LINK_TTL_HOURS, 10) || 24;
+  const { token, tokenHash } = createToken();
+  await insertPrivacyRequest({
+    type,
+    email,
+    tokenHash,
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    ipAddress
+  });
+
+  const action = type === 'export' ? 'download a copy of' : 'permanently erase';
+  const link = `${baseUrl}/privacy/requests/${encodeURIComponent(token)}`;
+  await sendMail({
+    to: email,
+    subject: type === 'export' ? 'Confirm your SPAMKLR data export' : 'Confirm your SPAMKLR data erasure',
+    text: `We received a request to ${action} the personal data SPAMKLR holds for this email address.\n\nTo confirm, open this link within ${ttlHours} hours:\n${link}\n\nIf you did not make this request, ignore this email and nothing will happen.`,
+    html: `<p>We received a request to ${action} the personal data SPAMKLR holds for this email address.</p><p>To confirm, open this link within ${ttlHours} hours:</p><p><a href="${link}">Confirm request</a></p><p>If you did not make this request, ignore this email and nothing will happen.</p>`
+  });
+}
+
+/**
+ * Look up a still-valid request from its emailed token (does not use it up).
+ */
+async function getDataSubjectRequest(token) {
+  const request = token ? await findPrivacyRequestByToken(hashToken(token)) : null;
+  if (!request) {
+    throw new BusinessError('This link is invalid, expired or has already been used.', 'INVALID_TOKEN');
+  }
+  return { type: request.type };
+}
+
+/**
+ * Carry out a verified request exactly once and record it in the audit chain.
+ * Exports resolve to { type, data, receipt }, erasures to { type, affected, receipt }.
+ */
+async function fulfilDataSubjectRequest(token) {
+  const request = token ? await claimPrivacyRequest(hashToken(token)) : null;
+  if (!request) {
+    throw new BusinessError('This link is invalid, expired or has already been used.', 'INVALID_TOKEN');
+  }
+
+  if (request.type === 'export') {
+    const data = await findPersonalData(request.email);
+    const audit = await appendAudit({
+      requestId: request._id,
+      type: 'export',
+      email: request.email,
+      affected: { waitlist: data.waitlist.length, contacts: data.contacts.length, webhookDeliveries: data.webhookDeliveries.length }
+    });
+    return {
+      type: 'export',
+      data: {
+        subject: request.email,
+        exportedAt: audit.completedAt.toISOString(),
+        waitlist: data.waitlist,
+        contacts: data.contacts,
+        webhookDeliveries: data.webhookDeliveries
+      },
+      receipt: { seq: audit.seq, hash: audit.hash }
+    };
+  }
+
+  const affected = await erasePersonalData(request.email);
+  const audit = await appendAudit({
+    requestId: request._id,
+    type: 'erase',
+    email: request.email,
+    affected
+  });
+  return { type: 'erase', affected, receipt: { seq: audit.seq, hash: audit.hash } };
+}
+
+function checkAuditChain(records) {
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (record.seq !== i + 1 || record.prevHash !== prevHash || auditHash(record) !== record.hash) {
+      return { valid: false, length: records.length, brokenAt: record.seq };
+    }
+    prevHash = record.hash;
+  }
+  return { valid: true, length: records.length, head: prevHash };
+}
+
+/**
+ * Re-compute the audit chain and report the first broken link, if any.
+ */
+async function verifyPrivacyAuditChain() {
+  return checkAuditChain(await listPrivacyAudits());
+}
+
+/**
+ * The audit chain for the admin console: its verification (as from
+ * verifyPrivacyAuditChain) and the latest `limit` records, newest first.
+ */
+async function getPrivacyAudit({ limit = 200 } = {}) {
+  const records = await listPrivacyAudits();
+  return {
+    verification: checkAuditChain(records),
+    records: records.slice(-limit).reverse().map(record => ({
+      seq: record.seq,
+      type: record.type,
+      subjectHash: record.subjectHash,
+      affected: record.affected,
+      completedAt: record.completedAt,
+      prevHash: record.prevHash,
+      hash: record.hash
+    }))
+  };
+}
+
+module.exports = {
+  requestDataSubjectAction,
+  getDataSubjectRequest,
+  fulfilDataSubjectRequest,
+  verifyPrivacyAuditChain,
+  getPrivacyAudit
+};
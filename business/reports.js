@@ -0,0 +1,165 @@
+// business/reports.js
+// Community spam reports and the number reputation aggregated from them:
+// recent reports from trusted reporters count most, old ones fade out.
+
+const {
+  insertSpamReport,
+  countRecentReports,
+  findReportsForNumber,
+  getReporterStats,
+  findNumberReputation,
+  saveNumberReputation
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { normalizeNumber } = require('./phone');
+
+const REPORT_CATEGORIES = ['scam', 'telemarketing', 'robocall', 'safe'];
+const SPAM_CATEGORIES = ['scam', 'telemarketing', 'robocall'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A report's weight halves every this many days; reports are dropped after a year
+const HALF_LIFE_DAYS = 30;
+const REPORT_RETENTION_DAYS = 365;
+
+// Stored reputations are re-aggregated on read once older than this, so decay shows
+const REFRESH_MS = DAY_MS;
+
+// Weight of the "probably fine" assumption every number starts from, so a
+// single report cannot push a score to 100 on its own
+const PRIOR_WEIGHT = 1;
+
+function ipReportLimit() {
+  return parseInt(process.env.MAX_REPORTS_PER_IP_24H, 10) || 3;
+}
+
+/**
+ * Trust in a reporter (0.2-1): new reporters count for little, reporters with
+ * a history of reports over several weeks count fully.
+ */
+function reporterTrust({ total, firstReportedAt }, now = Date.now()) {
+  const ageDays = firstReportedAt ? (now - new Date(firstReportedAt).getTime()) / DAY_MS : 0;
+  const trust = 0.2 + 0.4 * Math.min(ageDays / 30, 1) + 0.4 * Math.min(total / 20, 1);
+  return Math.round(trust * 100) / 100;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(REPORT_CATEGORIES.map(category => [category, 0]));
+}
+
+/**
+ * Aggregate reports (newest first) into { score, category, reportCount,
+ * reportsByCategory, lastReportedAt }. Only each reporter's latest report
+ * counts, so reporting the same number again changes a vote instead of adding one.
+ */
+function aggregateReports(reports, now = Date.now()) {
+  const latest = new Map();
+  reports.forEach(report => {
+    if (!latest.has(report.reporter)) latest.set(report.reporter, report);
+  });
+
+  const counts = emptyCounts();
+  const weights = emptyCounts();
+  for (const report of latest.values()) {
+    const ageDays = Math.max(now - new Date(report.createdAt).getTime(), 0) / DAY_MS;
+    counts[report.category] += 1;
+    weights[report.category] += report.weight * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+  }
+
+  const spamWeight = SPAM_CATEGORIES.reduce((sum, category) => sum + weights[category], 0);
+  const score = Math.round(100 * spamWeight / (spamWeight + weights.safe + PRIOR_WEIGHT));
+  const topSpam = SPAM_CATEGORIES.reduce((top, category) => (weights[category] > weights[top] ? category : top));
+
+  let category = 'unknown';
+  if (spamWeight > 0 && spamWeight >= weights.safe) category = topSpam;
+  else if (weights.safe > 0) category = 'safe';
+
+  return {
+    score,
+    category,
+    reportCount: latest.size,
+    reportsByCategory: counts,
+    lastReportedAt: reports.length ? reports[0].createdAt : null
+  };
+}
+
+/**
+ * Public shape of a number's reputation; numbers nobody reported come back
+ * with score 0, category "unknown" and zero counts.
+ */
+function toReputation(number, doc) {
+  return {
+    number,
+    score: doc ? Math.round(doc.score) : 0,
+    category: doc ? doc.category : 'unknown',
+    reportCount: doc ? doc.reportCount : 0,
+    reports: { ...emptyCounts(), ...(doc && doc.reportsByCategory) },
+    lastReportedAt: doc && doc.lastReportedAt ? new Date(doc.lastReportedAt).toISOString() : null
+  };
+}
+
+async function refreshReputation(e164) {
+  return saveNumberReputation(e164, aggregateReports(await findReportsForNumber(e164)));
+}
+
+/**
+ * Stored reputation of an E.164 number (null when unknown), re-aggregated
+ * first when it was built from reports more than a day ago.
+ */
+async function currentReputation(e164) {
+  const reputation = await findNumberReputation(e164);
+  if (reputation && reputation.reportsByCategory && Date.now() - new Date(reputation.updatedAt).getTime() > REFRESH_MS) {
+    return refreshReputation(e164);
+  }
+  return reputation;
+}
+
+/**
+ * Record a report and refresh the number's reputation. A reporter can report
+ * a number once a day, and one IP at most MAX_REPORTS_PER_IP_24H times
+ * (default 3), whichever keys it uses. Resolves to { report, reputation }.
+ */
+async function reportNumber({ number: input, region, category, reporter, ipAddress }) {
+  if (!REPORT_CATEGORIES.includes(category)) {
+    throw new BusinessError(`category must be one of ${REPORT_CATEGORIES.join(', ')}`, 'INVALID_CATEGORY');
+  }
+  const number = normalizeNumber(input, region);
+
+  const [byReporter, byIP] = await Promise.all([
+    countRecentReports({ number: number.e164, reporter }),
+    ipAddress ? countRecentReports({ number: number.e164, ipAddress }) : 0
+  ]);
+  if (byReporter > 0) {
+    throw new BusinessError('You already reported this number today', 'REPORT_RATE_LIMIT');
+  }
+  if (byIP >= ipReportLimit()) {
+    throw new BusinessError('Too many reports about this number from your location. Please try again tomorrow.', 'REPORT_RATE_LIMIT');
+  }
+
+  const weight = reporterTrust(await getReporterStats(reporter));
+  const report = await insertSpamReport({
+    number: number.e164,
+    category,
+    reporter,
+    weight,
+    ipAddress,
+    expiresAt: new Date(Date.now() + REPORT_RETENTION_DAYS * DAY_MS)
+  });
+
+  const reputation = await refreshReputation(number.e164);
+  return {
+    report: { id: String(report._id), number: number.e164, category, createdAt: report.createdAt.toISOString() },
+    reputation: toReputation(number.e164, reputation)
+  };
+}
+
+/**
+ * Current reputation of a number plus its normalised form.
+ */
+async function getReputation({ number: input, region }) {
+  const number = normalizeNumber(input, region);
+  const reputation = await currentReputation(number.e164);
+  return { ...toReputation(number.e164, reputation), number: { input: String(input), ...number } };
+}
+
+module.exports = { REPORT_CATEGORIES, reportNumber, getReputation, currentReputation };
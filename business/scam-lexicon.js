@@ -0,0 +1,100 @@
+// business/scam-lexicon.js
+// Rules used by transcripts.js to spot requests for one-time codes, passwords
+// and bank details in call transcripts, in English and Arabic. Patterns are
+// plain regular-expression strings so on-device models can be checked against
+// the same rules. Bump `version` whenever a rule changes.
+//
+// Text is matched after normalisation (see transcripts.js): lower case, Arabic
+// diacritics and tatweel removed, أ/إ/آ → ا, ة → ه, ى → ي. Arabic patterns are
+// therefore written in that normalised spelling.
+
+const LETTER = '\\u0621-\\u064A';
+
+/**
+ * An Arabic word or phrase with an optional attached و/ف/ب/ل in front and, unless
+ * `suffix` is false, a short attached pronoun behind (حساب → وحسابك).
+ */
+function ar(phrase, { suffix = true } = {}) {
+  return `(?<![${LETTER}])(?:[وفبل])?(?:${phrase})${suffix ? `[${LETTER}]{0,2}` : ''}(?![${LETTER}])`;
+}
+
+module.exports = {
+  version: 'spamklr-rules/1',
+
+  // request: only flagged when the speaker asks for it (a request cue in the
+  // same or the previous sentence); context: flagged wherever it appears
+  categories: {
+    otp_request: { kind: 'request', weight: 50 },
+    credential_request: { kind: 'request', weight: 50 },
+    bank_details_request: { kind: 'request', weight: 45 },
+    impersonation: { kind: 'context', weight: 20 },
+    urgency: { kind: 'context', weight: 15 }
+  },
+
+  rules: [
+    // One-time codes
+    { id: 'en.otp', category: 'otp_request', language: 'en', pattern: '\\b(?:otp|one[- ]time (?:password|passcode|pin|code))\\b' },
+    { id: 'en.otp.named', category: 'otp_request', language: 'en', pattern: '\\b(?:verification|confirmation|activation|authentication|security|sms|login) (?:code|pin|number)\\b' },
+    { id: 'en.otp.digits', category: 'otp_request', language: 'en', pattern: '\\b(?:4|four|5|five|6|six)[- ]digit (?:code|number|pin)\\b' },
+    { id: 'en.otp.sent', category: 'otp_request', language: 'en', pattern: '\\bcode (?:(?:we|i|that) (?:just )?(?:sent|texted)|you (?:just )?(?:got|received))\\b' },
+    { id: 'ar.otp', category: 'otp_request', language: 'ar', pattern: `(?<![${LETTER}])(?:otp|او تي بي)(?![${LETTER}])` },
+    { id: 'ar.otp.named', category: 'otp_request', language: 'ar', pattern: ar('(?:رمز|كود) (?:ال)?(?:تحقق|تفعيل|تاكيد|دخول)') },
+    { id: 'ar.otp.sent', category: 'otp_request', language: 'ar', pattern: ar('(?:ال)?(?:رمز|كود|رقم) (?:اللي|الي|الذي) (?:وصلك|جاك|ارسلناه|بيوصلك|راح يوصلك)') },
+    { id: 'ar.otp.once', category: 'otp_request', language: 'ar', pattern: ar('كلمه (?:ال)?(?:سر|مرور) (?:ل)?مره واحده') },
+
+    // Passwords and PINs
+    { id: 'en.password', category: 'credential_request', language: 'en', pattern: '\\b(?:password|passcode|passphrase)\\b' },
+    { id: 'en.pin', category: 'credential_request', language: 'en', pattern: '\\bpin(?: code| number)?\\b' },
+    { id: 'en.login', category: 'credential_request', language: 'en', pattern: '\\b(?:(?:login|log-in|sign-in|online banking) (?:details|credentials|password)|user ?name and password)\\b' },
+    { id: 'ar.password', category: 'credential_request', language: 'ar', pattern: ar('كلمه (?:ال)?(?:سر|مرور)') },
+    { id: 'ar.password.loanword', category: 'credential_request', language: 'ar', pattern: ar('(?:ال)?(?:باسورد|باسوورد)') },
+    { id: 'ar.pin', category: 'credential_request', language: 'ar', pattern: ar('(?:ال)?رقم (?:ال)?سري') },
+
+    // Bank accounts and cards
+    { id: 'en.account', category: 'bank_details_request', language: 'en', pattern: '\\b(?:bank )?account (?:number|no|details)\\b' },
+    { id: 'en.bank_codes', category: 'bank_details_request', language: 'en', pattern: '\\b(?:iban|swift(?: code)?|sort code|routing number)\\b' },
+    { id: 'en.card', category: 'bank_details_request', language: 'en', pattern: '\\b(?:(?:credit|debit|atm|bank) )?card (?:number|details|info(?:rmation)?)\\b' },
+    { id: 'en.cvv', category: 'bank_details_request', language: 'en', pattern: '\\b(?:cvv2?|cvc|security code on the back|(?:three|3)[- ]digit(?: number| code)? on the back)\\b' },
+    { id: 'en.expiry', category: 'bank_details_request', language: 'en', pattern: '\\b(?:expiry|expiration) date\\b' },
+    { id: 'en.bank_details', category: 'bank_details_request', language: 'en', pattern: '\\bbank(?:ing)? (?:details|information|info)\\b' },
+    { id: 'ar.account', category: 'bank_details_request', language: 'ar', pattern: ar('رقم (?:ال)?حساب') },
+    { id: 'ar.iban', category: 'bank_details_request', language: 'ar', pattern: ar('(?:ال)?(?:ايبان|iban)') },
+    { id: 'ar.card', category: 'bank_details_request', language: 'ar', pattern: ar('(?:رقم|بيانات|معلومات|تفاصيل) (?:ال)?بطاقه') },
+    { id: 'ar.cvv', category: 'bank_details_request', language: 'ar', pattern: ar('(?:(?:ال)?(?:ثلاثه|ثلاث) (?:ال)?ارقام|(?:ال)?ارقام (?:ال)?(?:ثلاثه|ثلاث))(?: (?:اللي|الي) (?:ورا|خلف) (?:ال)?بطاقه)?') },
+    { id: 'ar.expiry', category: 'bank_details_request', language: 'ar', pattern: ar('تاريخ (?:ال)?انتهاء') },
+    { id: 'ar.bank_details', category: 'bank_details_request', language: 'ar', pattern: ar('(?:ال)?(?:بيانات|معلومات|تفاصيل) (?:ال)?(?:حساب|بنكيه|مصرفيه)') },
+
+    // Claiming to be a bank or an authority
+    { id: 'en.impersonation', category: 'impersonation', language: 'en', pattern: '\\b(?:from|with) (?:your |the )?(?:bank|fraud (?:department|team|prevention)|security (?:department|team)|police|ministry(?: of [a-z]+)?|customs|tax (?:office|authority))\\b' },
+    { id: 'en.impersonation.role', category: 'impersonation', language: 'en', pattern: '\\b(?:bank|fraud|security) (?:officer|representative|agent|department|team)\\b' },
+    { id: 'ar.impersonation', category: 'impersonation', language: 'ar', pattern: ar('من (?:ال)?(?:بنك|مصرف|شرطه|وزاره|جمارك)') },
+    { id: 'ar.impersonation.role', category: 'impersonation', language: 'ar', pattern: ar('(?:قسم|اداره|موظف|مندوب) (?:ال)?(?:احتيال|امن|بنك|مصرف)') },
+
+    // Pressure to act at once
+    { id: 'en.urgency', category: 'urgency', language: 'en', pattern: '\\b(?:immediately|right now|right away|urgent(?:ly)?|as soon as possible|asap|within (?:the next )?(?:\\d+|one|two|five|ten|fifteen|thirty) (?:minutes?|hours?))\\b' },
+    { id: 'en.urgency.threat', category: 'urgency', language: 'en', pattern: '\\b(?:account|card|number|sim) (?:will be|has been|is being|is) (?:blocked|suspended|frozen|closed|locked|deactivated|cancell?ed)\\b' },
+    { id: 'ar.urgency', category: 'urgency', language: 'ar', pattern: ar('(?:فورا|حالا|بسرعه|ضروري|مستعجل)', { suffix: false }) },
+    { id: 'ar.urgency.threat', category: 'urgency', language: 'ar', pattern: ar('(?:سيتم|راح يتم|بيتم|رح يتم) (?:ايقاف|تجميد|اغلاق|حظر|الغاء|توقيف)') }
+  ],
+
+  // Words that turn a mention into a request ("read me the code")
+  requestCues: [
+    '\\b(?:tell|give|read|share|send|provide|confirm|verify|say|repeat|enter|type|forward|update|need|want)\\b',
+    "\\b(?:what(?:'s| is) (?:your|the)|can i (?:have|get)|may i (?:have|get))\\b",
+    ar('اعطني|اعطيني|عطني|عطيني|قل لي|قولي|قلي|ارسل|ابعث|شارك|اكد|زودني|زودنا|نحتاج|محتاجين|احتاج|اقرا|اذكر|ادخل|اكتب'),
+    ar('تعطيني|تعطني|تقول|تقرا|ترسل|تبعث|تشارك|تاكد|تزودني|تذكر|تدخل|تكتب'),
+    ar('ما هو|ما هي|شو|ايش|وش', { suffix: false })
+  ],
+
+  // Words that turn it back into a warning ("never share your code")
+  negations: [
+    "\\b(?:never|don't|dont|do not|not|won't|will not|no one|nobody)\\b",
+    ar('لا|لن|ابدا|اياك|ممنوع', { suffix: false })
+  ],
+
+  // ...unless it is a threat ("if you don't give me the code")
+  conditionals: [
+    '\\b(?:if|unless|otherwise)\\b',
+    ar('اذا|لو|الا', { suffix: false })
+  ]
+};
@@ -0,0 +1,181 @@
+// business/screening.js
+// Email domain screening: malformed domains, disposable providers, and
+// likely typos of popular providers (with a suggested correction).
+
+const fs = require('fs');
+const dns = require('dns').promises;
+const { BusinessError } = require('./errors');
+const { logger } = require('./logger');
+const BUNDLED_DISPOSABLE_DOMAINS = require('./disposable-domains');
+
+// Known misspellings seen in the wild, mapped to the intended domain
+const COMMON_TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmai.com': 'gmail.com',
+  'gmal.com': 'gmail.com',
+  'gnail.com': 'gmail.com',
+  'gamil.com': 'gmail.com',
+  'gmaill.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'gmail.con': 'gmail.com',
+  'gmail.cm': 'gmail.com',
+  'hotmial.com': 'hotmail.com',
+  'hotmai.com': 'hotmail.com',
+  'hotmal.com': 'hotmail.com',
+  'hotmail.co': 'hotmail.com',
+  'hotmail.con': 'hotmail.com',
+  'yaho.com': 'yahoo.com',
+  'yahooo.com': 'yahoo.com',
+  'yahoo.co': 'yahoo.com',
+  'yahoo.con': 'yahoo.com',
+  'outlok.com': 'outlook.com',
+  'outloo.com': 'outlook.com',
+  'outlook.co': 'outlook.com',
+  'outlook.con': 'outlook.com',
+  'iclod.com': 'icloud.com',
+  'icloud.co': 'icloud.com',
+  'icoud.com': 'icloud.com'
+};
+
+// Popular providers used for fuzzy typo matching. Only providers with a
+// long main label are listed, so short legitimate domains are not flagged.
+const POPULAR_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'yahoo.co.uk',
+  'hotmail.com',
+  'hotmail.co.uk',
+  'outlook.com',
+  'icloud.com',
+  'protonmail.com'
+];
+
+// Real providers one edit away from a popular one; never flagged as typos
+const LOOKALIKE_PROVIDERS = ['mail.com', 'email.com', 'ymail.com', 'gmx.com'];
+
+const DOMAIN_PATTERN = /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+let disposableDomains = null;
+
+/**
+ * (Re)load the disposable domain list: the bundled list plus, if set, the
+ * newline-separated DISPOSABLE_DOMAINS_FILE (# starts a comment).
+ */
+function loadDisposableDomains() {
+  const domains = new Set(BUNDLED_DISPOSABLE_DOMAINS);
+  const file = process.env.DISPOSABLE_DOMAINS_FILE;
+  if (file) {
+    try {
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+        .filter(Boolean)
+        .forEach(domain => domains.add(domain));
+    } catch (err) {
+      logger.warn('Could not read DISPOSABLE_DOMAINS_FILE', { file, err });
+    }
+  }
+  disposableDomains = domains;
+  return domains.size;
+}
+
+function isDisposable(domain) {
+  if (!disposableDomains) loadDisposableDomains();
+  // Match the domain itself and any parent, so sub.mailinator.com is caught too
+  const labels = domain.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (disposableDomains.has(labels.slice(i).join('.'))) return true;
+  }
+  return false;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps).
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * The provider domain this one is probably a misspelling of, or null.
+ */
+function suggestDomain(domain) {
+  if (COMMON_TYPOS[domain]) return COMMON_TYPOS[domain];
+  if (POPULAR_DOMAINS.includes(domain) || LOOKALIKE_PROVIDERS.includes(domain)) return null;
+  const match = POPULAR_DOMAINS.find(popular => editDistance(domain, popular) === 1);
+  return match || null;
+}
+
+/**
+ * Whether the domain can receive mail (MX, or an address record as the
+ * RFC 5321 fallback). DNS failures other than "no such domain" pass.
+ */
+async function hasMailServer(domain) {
+  const timeoutMs = parseInt(process.env.EMAIL_MX_TIMEOUT_MS, 10) || 2000;
+  const lookup = async () => {
+    try {
+      const records = await dns.resolveMx(domain);
+      if (records.length) return true;
+    } catch (err) {
+      if (!['ENOTFOUND', 'ENODATA'].includes(err.code)) return true;
+    }
+    try {
+      return (await dns.resolve(domain)).length > 0;
+    } catch (err) {
+      return !['ENOTFOUND', 'ENODATA'].includes(err.code);
+    }
+  };
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); });
+  try {
+    return await Promise.race([lookup(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Screen an email address that already passed the basic format check.
+ * Throws BusinessError with code:
+ * - INVALID_EMAIL: malformed domain
+ * - EMAIL_TYPO: likely misspelt provider (details.suggestion holds the fix)
+ * - DISPOSABLE_EMAIL: throwaway provider
+ * - UNDELIVERABLE_EMAIL: domain has no mail server (only if EMAIL_CHECK_MX=true)
+ */
+async function screenEmail(email) {
+  const at = String(email).lastIndexOf('@');
+  const local = String(email).slice(0, at).trim();
+  const domain = String(email).slice(at + 1).trim().toLowerCase().replace(/\.$/, '');
+
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new BusinessError('Please enter a valid email address', 'INVALID_EMAIL');
+  }
+
+  const suggested = suggestDomain(domain);
+  if (suggested) {
+    const suggestion = `${local}@${suggested}`;
+    throw new BusinessError(`Did you mean ${suggestion}? Please check your email address.`, 'EMAIL_TYPO', { suggestion });
+  }
+
+  if (isDisposable(domain)) {
+    throw new BusinessError('Disposable email addresses are not accepted. Please use your regular email.', 'DISPOSABLE_EMAIL');
+  }
+
+  if (process.env.EMAIL_CHECK_MX === 'true' && !await hasMailServer(domain)) {
+    throw new BusinessError('This email domain cannot receive mail. Please check your email address.', 'UNDELIVERABLE_EMAIL');
+  }
+}
+
+module.exports = { screenEmail, suggestDomain, isDisposable, loadDisposableDomains };
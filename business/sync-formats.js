@@ -0,0 +1,98 @@
+// business/sync-formats.js
+// Compact binary encodings of the known-spam list for the device sync feed.
+// Both are simple enough to decode on a phone without extra libraries.
+//
+// "sorted" (SKS1): a snapshot or delta as sorted number lists.
+//   "SKS1" | type byte (0 snapshot, 1 delta) | varint version | varint since
+//   | varint count, then per added number: varint gap, category byte
+//   | varint count, then per removed number: varint gap
+//   Numbers are the E.164 digits read as an integer, sorted ascending; each
+//   is stored as the gap from the previous one (the first from 0). Varints
+//   are unsigned LEB128. Category bytes index CATEGORY_CODES.
+//
+// "bloom" (SKB1): a snapshot as a Bloom filter, for the smallest download
+// when a rare false positive is acceptable.
+//   "SKB1" | byte k | uint32 BE m (bits) | varint version | ceil(m / 8) bytes
+//   Bit i is (byte i >> 3) & (1 << (i & 7)). A number (E.164 with +) is in the
+//   set when bits (h1 + j * h2) mod m are all set for j = 0..k-1, where
+//   h1 = FNV-1a 32-bit of its UTF-8 bytes and h2 = the same hash started from
+//   offset basis 0x5bd1e995 instead of 0x811c9dc5, with its lowest bit set.
+
+const CATEGORY_CODES = ['scam', 'telemarketing', 'robocall'];
+
+const FNV_OFFSET = 0x811c9dc5;
+const SECOND_OFFSET = 0x5bd1e995;
+const FNV_PRIME = 0x01000193;
+
+// Numbers can exceed 32 bits, so this uses arithmetic rather than bit operators
+function pushVarint(bytes, value) {
+  let rest = value;
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+function numberValue(e164) {
+  return Number(e164.slice(1));
+}
+
+function pushNumbers(bytes, numbers, withCategory) {
+  const sorted = [...numbers].sort((a, b) => numberValue(a.number) - numberValue(b.number));
+  pushVarint(bytes, sorted.length);
+  let previous = 0;
+  for (const entry of sorted) {
+    const value = numberValue(entry.number);
+    pushVarint(bytes, value - previous);
+    previous = value;
+    if (withCategory) bytes.push(Math.max(CATEGORY_CODES.indexOf(entry.category), 0));
+  }
+}
+
+/**
+ * Encode a snapshot ({ type: 'snapshot', version, numbers }) or a delta
+ * ({ type: 'delta', since, version, added, removed }) in the sorted format.
+ */
+function encodeSorted(sync) {
+  const bytes = [...Buffer.from('SKS1', 'ascii'), sync.type === 'delta' ? 1 : 0];
+  pushVarint(bytes, sync.version);
+  pushVarint(bytes, sync.since || 0);
+  pushNumbers(bytes, sync.type === 'delta' ? sync.added : sync.numbers, true);
+  pushNumbers(bytes, sync.type === 'delta' ? sync.removed.map(number => ({ number })) : [], false);
+  return Buffer.from(bytes);
+}
+
+function fnv1a(text, offset) {
+  let hash = offset;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    hash ^= byte;
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Encode a snapshot's numbers as a Bloom filter with the given false-positive rate.
+ */
+function encodeBloom({ version, numbers }, falsePositiveRate = 0.001) {
+  const count = Math.max(numbers.length, 1);
+  const m = Math.max(Math.ceil(-count * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2)), 8);
+  const k = Math.min(Math.max(Math.round((m / count) * Math.LN2), 1), 30);
+
+  const bits = Buffer.alloc(Math.ceil(m / 8));
+  for (const { number } of numbers) {
+    const h1 = fnv1a(number, FNV_OFFSET);
+    const h2 = (fnv1a(number, SECOND_OFFSET) | 1) >>> 0;
+    for (let j = 0; j < k; j++) {
+      const bit = (h1 + j * h2) % m;
+      bits[Math.floor(bit / 8)] |= 1 << (bit % 8);
+    }
+  }
+
+  const header = [...Buffer.from('SKB1', 'ascii'), k, (m >>> 24) & 0xff, (m >>> 16) & 0xff, (m >>> 8) & 0xff, m & 0xff];
+  pushVarint(header, version);
+  return Buffer.concat([Buffer.from(header), bits]);
+}
+
+module.exports = { encodeSorted, encodeBloom, CATEGORY_CODES };
@@ -0,0 +1,18 @@
+// business/tokens.js
+// Single-use / expiring tokens for emailed links. Only hashes are stored.
+
+const crypto = require('crypto');
+
+/**
+ * Create a random URL-safe token and the SHA-256 hash to persist for it.
+ */
+function createToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = { createToken, hashToken };
@@ -0,0 +1,213 @@
+// business/transcripts.js
+// Rule-based scam analysis of call transcripts: flags requests for one-time
+// codes, passwords and bank details (English and Arabic, see scam-lexicon.js).
+// Deterministic, so the same transcript always gives the same result.
+
+const { BusinessError } = require('./errors');
+const LEXICON = require('./scam-lexicon');
+
+const MAX_TEXT_LENGTH = 20000;
+const MAX_SEGMENTS = 500;
+const MAX_SEGMENT_LENGTH = 5000;
+
+// Verdict thresholds on the 0-100 risk score
+const SCAM_AT = 70;
+const SUSPICIOUS_AT = 35;
+
+// Each further match in a category adds this much, up to twice
+const REPEAT_BONUS = 5;
+
+const RULES = LEXICON.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'gu') }));
+const compileAll = patterns => patterns.map(pattern => new RegExp(pattern, 'u'));
+const REQUEST_CUES = compileAll(LEXICON.requestCues);
+const NEGATIONS = compileAll(LEXICON.negations);
+const CONDITIONALS = compileAll(LEXICON.conditionals);
+
+// Diacritics, superscript alef and tatweel
+const ARABIC_MARKS = /[\u064B-\u065F\u0670\u0640]/;
+const ARABIC_FOLDS = { 'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا', 'ة': 'ه', 'ى': 'ي', 'ؤ': 'و', 'ئ': 'ي', '’': "'" };
+const SENTENCE_END = /[.!?؟;؛\n]+/g;
+const PAUSE = /[,،]/g;
+
+/**
+ * Normalise text for matching and remember where each normalised character
+ * came from, so matches can be reported as offsets into the original text.
+ */
+function normalize(text) {
+  let out = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const char of text) {
+    const from = index;
+    index += char.length;
+    if (ARABIC_MARKS.test(char)) continue;
+    let folded = ARABIC_FOLDS[char] || char;
+    if (folded >= '٠' && folded <= '٩') folded = String(folded.charCodeAt(0) - 0x0660);
+    const lower = folded.toLowerCase();
+    if (lower.length === folded.length) folded = lower;
+    for (let i = 0; i < folded.length; i++) {
+      starts.push(from);
+      ends.push(index);
+    }
+    out += folded;
+  }
+  return { text: out, starts, ends };
+}
+
+/**
+ * Split normalised text into sentences: [{ start, end }].
+ */
+function sentences(text) {
+  const ranges = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    if (match.index > start) ranges.push({ start, end: match.index });
+    start = match.index + match[0].length;
+  }
+  if (start < text.length) ranges.push({ start, end: text.length });
+  return ranges;
+}
+
+/**
+ * Rule matches in a normalised text; where matches overlap the longest wins.
+ */
+function findMatches(text) {
+  const matches = [];
+  for (const rule of RULES) {
+    for (const match of text.matchAll(rule.regex)) {
+      matches.push({ start: match.index, end: match.index + match[0].length, rule });
+    }
+  }
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const match of matches) {
+    if (!kept.length || match.start >= kept[kept.length - 1].end) kept.push(match);
+  }
+  return kept;
+}
+
+const matchesAny = (patterns, text) => patterns.some(pattern => pattern.test(text));
+
+/**
+ * True when the words leading up to a match (since the last comma) say not
+ * to do it, e.g. "never share your code", but not "if you don't give me the code".
+ */
+function isNegated(text, sentence, position) {
+  let from = sentence.start;
+  for (const pause of text.slice(sentence.start, position).matchAll(PAUSE)) {
+    from = sentence.start + pause.index + 1;
+  }
+  const lead = text.slice(from, position);
+  return matchesAny(NEGATIONS, lead) && !matchesAny(CONDITIONALS, lead);
+}
+
+function validateSegments({ text, segments }) {
+  if ((text == null) === (segments == null)) {
+    throw new BusinessError('Send either text or segments', 'INVALID_TRANSCRIPT');
+  }
+  if (text != null) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_TEXT_LENGTH) {
+      throw new BusinessError(`text must be 1-${MAX_TEXT_LENGTH} characters`, 'INVALID_TRANSCRIPT');
+    }
+    return [{ text }];
+  }
+  if (!Array.isArray(segments) || !segments.length || segments.length > MAX_SEGMENTS) {
+    throw new BusinessError(`segments must be a list of 1-${MAX_SEGMENTS} items`, 'INVALID_TRANSCRIPT');
+  }
+  let total = 0;
+  return segments.map((segment, index) => {
+    const { text: segmentText, start, end, speaker } = segment || {};
+    if (typeof segmentText !== 'string' || segmentText.length > MAX_SEGMENT_LENGTH) {
+      throw new BusinessError(`segments[${index}].text must be text of at most ${MAX_SEGMENT_LENGTH} characters`, 'INVALID_TRANSCRIPT');
+    }
+    const times = [start, end].filter(value => value != null);
+    if (times.some(value => typeof value !== 'number' || !Number.isFinite(value) || value < 0) ||
+        (start != null && end != null && end < start)) {
+      throw new BusinessError(`segments[${index}] start and end must be seconds from the start of the call, start first`, 'INVALID_TRANSCRIPT');
+    }
+    if (speaker != null && (typeof speaker !== 'string' || speaker.length > 32)) {
+      throw new BusinessError(`segments[${index}].speaker must be text of at most 32 characters`, 'INVALID_TRANSCRIPT');
+    }
+    total += segmentText.length;
+    if (total > MAX_TEXT_LENGTH) {
+      throw new BusinessError(`Transcripts are limited to ${MAX_TEXT_LENGTH} characters`, 'INVALID_TRANSCRIPT');
+    }
+    return { text: segmentText, start, end, speaker };
+  });
+}
+
+function verdictFor(score) {
+  if (score >= SCAM_AT) return 'scam';
+  if (score >= SUSPICIOUS_AT) return 'suspicious';
+  return 'safe';
+}
+
+/**
+ * Analyse a transcript given as { text } or as { segments: [{ text, start?,
+ * end?, speaker? }] } (start/end in seconds). Requests for codes, passwords or
+ * bank details only count when asked for, in the same or the previous
+ * sentence. Resolves to
+ * { apiVersion, engine, verdict (safe|suspicious|scam), riskScore (0-100),
+ *   categories: [{ category, score, matches }],
+ *   flags: [{ segment, start, end, text, category, rule, language, speaker, time }] }
+ * where start/end are character offsets into the segment's original text.
+ */
+function analyzeTranscript(input = {}) {
+  const segments = validateSegments(input);
+
+  // Sentences of the whole call in order, so a request can carry over a segment break
+  const flags = [];
+  let previousAsked = false;
+  segments.forEach((segment, segmentIndex) => {
+    const normalized = normalize(segment.text);
+    const matches = findMatches(normalized.text);
+    for (const sentence of sentences(normalized.text)) {
+      const asked = matchesAny(REQUEST_CUES, normalized.text.slice(sentence.start, sentence.end));
+      for (const match of matches) {
+        if (match.start < sentence.start || match.start >= sentence.end) continue;
+        const { kind } = LEXICON.categories[match.rule.category];
+        if (kind === 'request' && !asked && !previousAsked) continue;
+        if (isNegated(normalized.text, sentence, match.start)) continue;
+
+        const start = normalized.starts[match.start];
+        let end = normalized.ends[match.end - 1];
+        while (end < segment.text.length && ARABIC_MARKS.test(segment.text[end])) end++;
+        flags.push({
+          segment: segmentIndex,
+          start,
+          end,
+          text: segment.text.slice(start, end),
+          category: match.rule.category,
+          rule: match.rule.id,
+          language: match.rule.language,
+          speaker: segment.speaker || null,
+          time: segment.start != null || segment.end != null
+            ? { start: segment.start != null ? segment.start : null, end: segment.end != null ? segment.end : null }
+            : null
+        });
+      }
+      previousAsked = asked;
+    }
+  });
+
+  const categories = Object.entries(LEXICON.categories)
+    .map(([category, { weight }]) => {
+      const matches = flags.filter(flag => flag.category === category).length;
+      return { category, score: matches ? weight + REPEAT_BONUS * Math.min(matches - 1, 2) : 0, matches };
+    })
+    .filter(category => category.matches)
+    .sort((a, b) => b.score - a.score);
+  const riskScore = Math.min(100, categories.reduce((sum, category) => sum + category.score, 0));
+
+  return {
+    apiVersion: 'v1',
+    engine: LEXICON.version,
+    verdict: verdictFor(riskScore),
+    riskScore,
+    categories,
+    flags
+  };
+}
+
+module.exports = { analyzeTranscript, TRANSCRIPT_ENGINE: LEXICON.version };
@@ -0,0 +1,146 @@
+// business/usage.js
+// Usage metering for /api/v1: requests are counted per API key owner in
+// daily and monthly counters (UTC), which the key's plan sets the quotas for,
+// and broken down per endpoint and per client identity (see
+// presentation/api.js) for the usage report.
+
+const { incrementUsage, findUsageCounters } = require('../persistence/persistence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default quotas per plan (null = unlimited). QUOTA_<PLAN>_DAILY and
+// QUOTA_<PLAN>_MONTHLY override them; 0 means unlimited.
+const PLAN_QUOTAS = {
+  free: { daily: 1000, monthly: 20000 },
+  partner: { daily: 50000, monthly: 1000000 },
+  enterprise: { daily: null, monthly: null }
+};
+const API_PLANS = Object.keys(PLAN_QUOTAS);
+
+// Counters are kept long enough for a year of monthly reports
+const DAY_RETENTION_DAYS = 62;
+const MONTH_RETENTION_DAYS = 400;
+
+function planQuotas(plan) {
+  const name = PLAN_QUOTAS[plan] ? plan : 'free';
+  const quota = period => {
+    const value = process.env[`QUOTA_${name.toUpperCase()}_${period.toUpperCase()}`];
+    if (value === undefined || value === '') return PLAN_QUOTAS[name][period];
+    return parseInt(value, 10) || null;
+  };
+  return { plan: name, daily: quota('daily'), monthly: quota('monthly') };
+}
+
+function dayStart(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthStart(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+function nextDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+function nextMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+function windowStatus(limit, used, resetAt) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetAt
+  };
+}
+
+function usagePeriods(now) {
+  return [
+    { period: 'day', start: dayStart(now), expiresAt: new Date(now.getTime() + DAY_RETENTION_DAYS * DAY_MS) },
+    { period: 'month', start: monthStart(now), expiresAt: new Date(now.getTime() + MONTH_RETENTION_DAYS * DAY_MS) }
+  ];
+}
+
+/**
+ * Take one request from the quotas of `owner` on `plan`. The owner's totals
+ * are incremented first and the new counts compared with the limits, so
+ * parallel requests cannot all see the same count and overshoot; a refused
+ * request is given back. Resolves to { plan, daily, monthly, limiting,
+ * exceeded } where daily and monthly are { limit, used, remaining, resetAt }
+ * (including this request) and limiting is whichever of them has fewer
+ * requests left (null on unlimited plans).
+ */
+async function consumeQuota(owner, plan, now = new Date()) {
+  const quotas = planQuotas(plan);
+  const periods = usagePeriods(now);
+  const totals = await incrementUsage(owner, {}, periods);
+  if (quotas.daily === null && quotas.monthly === null) {
+    return { plan: quotas.plan, daily: null, monthly: null, limiting: null, exceeded: false };
+  }
+
+  const used = period => totals.find(counter => counter.period === period).count;
+  const daily = windowStatus(quotas.daily, used('day'), nextDay(now));
+  const monthly = windowStatus(quotas.monthly, used('month'), nextMonth(now));
+  const windows = [daily, monthly].filter(window => window.limit !== null);
+  const limiting = windows.sort((a, b) => a.remaining - b.remaining || b.resetAt - a.resetAt)[0];
+  const exceeded = windows.some(window => window.used > window.limit);
+  if (exceeded) await incrementUsage(owner, {}, periods, -1);
+  return { plan: quotas.plan, daily, monthly, limiting, exceeded };
+}
+
+/**
+ * Count one request of `owner` to `endpoint` (e.g. "POST /detect") from
+ * `client` (its identity, e.g. "client:web-1"); the totals were already
+ * counted by consumeQuota. These counters are only reported, never enforced.
+ */
+async function recordUsage(owner, { client, endpoint }, now = new Date()) {
+  const periods = usagePeriods(now);
+  await incrementUsage(owner, { endpoint }, periods);
+  await incrementUsage(owner, { client }, periods);
+}
+
+/**
+ * Consumption report for `owner` on `plan`: the plan and its quotas against
+ * the owner's totals, requests per endpoint and per client identity today
+ * and this month, and requests per day of this month.
+ */
+async function getUsageReport(owner, plan, now = new Date()) {
+  const quotas = planQuotas(plan);
+  const today = dayStart(now);
+  const month = monthStart(now);
+  const days = [];
+  for (let date = new Date(`${month}-01T00:00:00Z`); dayStart(date) <= today; date = nextDay(date)) {
+    days.push(dayStart(date));
+  }
+
+  const counters = await findUsageCounters(owner, [
+    { period: 'month', start: month },
+    ...days.map(start => ({ period: 'day', start }))
+  ]);
+  const count = (period, start, { endpoint = '*', client = '*' } = {}) =>
+    (counters.find(counter => counter.period === period && counter.start === start &&
+      counter.endpoint === endpoint && counter.client === client) || { count: 0 }).count;
+  const breakdown = dimension => [...new Set(counters.map(counter => counter[dimension]).filter(value => value !== '*'))]
+    .map(value => ({
+      [dimension]: value,
+      today: count('day', today, { [dimension]: value }),
+      thisMonth: count('month', month, { [dimension]: value })
+    }))
+    .sort((a, b) => b.thisMonth - a.thisMonth || a[dimension].localeCompare(b[dimension]));
+
+  return {
+    apiVersion: 'v1',
+    plan: quotas.plan,
+    quotas: {
+      daily: windowStatus(quotas.daily, count('day', today), nextDay(now)),
+      monthly: windowStatus(quotas.monthly, count('month', month), nextMonth(now))
+    },
+    endpoints: breakdown('endpoint'),
+    clients: breakdown('client'),
+    days: days.map(date => ({ date, requests: count('day', date) }))
+  };
+}
+
+module.exports = { API_PLANS, consumeQuota, recordUsage, getUsageReport };
@@ -0,0 +1,279 @@
+// business/webhooks.js
+// Outbound webhooks: subscriptions to event types, HMAC-SHA256 signed
+// deliveries, retries with exponential backoff, and the delivery log.
+// Deliveries are stored before they are sent, so retries survive a restart.
+
+const crypto = require('crypto');
+const {
+  insertWebhookSubscription,
+  listWebhookSubscriptions: listWebhookSubscriptionRecords,
+  findWebhookSubscription,
+  findWebhookSubscriptionsForEvent,
+  setWebhookSubscriptionActive,
+  deleteWebhookSubscription,
+  insertWebhookDeliveries,
+  claimWebhookDelivery,
+  updateWebhookDelivery,
+  findWebhookDelivery
+} = require('../persistence/persistence');
+const { BusinessError } = require('./errors');
+const { logger } = require('./logger');
+
+const WEBHOOK_EVENTS = {
+  'waitlist.signup': 'A signup confirmed its email and joined the waitlist',
+  'waitlist.full': 'A signup was turned away because the waitlist is full',
+  'waitlist.capacity_threshold': 'The waitlist filled past a capacity threshold',
+  'contact.submitted': 'A message came in through the contact form'
+};
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is retried after this if its worker died mid-attempt
+const LEASE_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// Error bodies and messages kept in the log are cut to this length
+const MAX_ERROR_LENGTH = 300;
+
+function maxAttempts() {
+  return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+}
+
+function retentionDays() {
+  return parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+}
+
+/**
+ * Delay before attempt `attempts + 1`: WEBHOOK_RETRY_BASE_MS (default 30s)
+ * doubled per failed attempt, capped at 6 hours, with up to 10% jitter so
+ * retries to one receiver do not arrive in lockstep.
+ */
+function backoff(attempts) {
+  const base = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+  const delay = Math.min(base * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+/**
+ * Signature header for a payload: "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * '<t>.<body>' keyed with the subscription secret>". Receivers recompute it
+ * and reject old timestamps to stop replays.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Public shape of a subscription (never the secret).
+ */
+function toSubscription(doc) {
+  return {
+    id: String(doc._id),
+    url: doc.url,
+    events: doc.events || [],
+    description: doc.description || '',
+    active: doc.active !== false,
+    createdBy: doc.createdBy || null,
+    createdAt: doc.createdAt || null
+  };
+}
+
+function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (err) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || String(url).length > 2000) {
+    throw new BusinessError('Enter an http or https URL for the webhook', 'INVALID_WEBHOOK_URL');
+  }
+  if (parsed.protocol === 'http:' && process.env.NODE_ENV === 'production' && process.env.WEBHOOK_ALLOW_HTTP !== 'true') {
+    throw new BusinessError('Webhook URLs must use https', 'INVALID_WEBHOOK_URL');
+  }
+  return parsed.toString();
+}
+
+/**
+ * Subscribe a URL to event types ("*" for all). Resolves to
+ * { subscription, secret }: the signing secret is returned only this once.
+ */
+async function createWebhookSubscription({ url, events, description, createdBy }) {
+  const list = [...new Set([].concat(events || []))];
+  if (!list.length || list.some(event => event !== '*' && !WEBHOOK_EVENTS[event])) {
+    throw new BusinessError(`Choose at least one event of ${Object.keys(WEBHOOK_EVENTS).join(', ')}`, 'INVALID_WEBHOOK_EVENTS');
+  }
+  const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+  const doc = await insertWebhookSubscription({
+    url: parseUrl(url),
+    events: list.includes('*') ? ['*'] : list,
+    secret,
+    description: String(description || '').trim().slice(0, 200) || undefined,
+    createdBy
+  });
+  return { subscription: toSubscription(doc), secret };
+}
+
+async function listWebhookSubscriptions() {
+  return (await listWebhookSubscriptionRecords()).map(toSubscription);
+}
+
+async function changeWebhookSubscription(id, action) {
+  const doc = action === 'delete'
+    ? await deleteWebhookSubscription(id)
+    : await setWebhookSubscriptionActive(id, action === 'enable');
+  if (!doc) {
+    throw new BusinessError('Webhook subscription not found', 'WEBHOOK_NOT_FOUND');
+  }
+  return toSubscription(doc);
+}
+
+/**
+ * POST one delivery and record the outcome: delivered on any 2xx, otherwise
+ * rescheduled with backoff until WEBHOOK_MAX_ATTEMPTS (default 8), then failed.
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await findWebhookSubscription(delivery.subscription);
+  const attempts = (delivery.attempts || 0) + 1;
+  if (!subscription) {
+    return updateWebhookDelivery(delivery._id, { status: 'failed', attempts, lastError: 'Subscription was deleted', nextAttemptAt: null });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  let statusCode;
+  let error;
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SPAMKLR-Webhooks/1.0',
+        'X-Spamklr-Event': delivery.event,
+        'X-Spamklr-Delivery': String(delivery._id),
+        'X-Spamklr-Signature': signPayload(subscription.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `HTTP ${response.status}: ${(await response.text()).slice(0, MAX_ERROR_LENGTH)}`;
+  } catch (err) {
+    error = (err.cause && err.cause.message) || err.message;
+  }
+
+  if (!error) {
+    return updateWebhookDelivery(delivery._id, { status: 'delivered', attempts, lastStatusCode: statusCode, lastError: null, deliveredAt: new Date(), nextAttemptAt: null });
+  }
+  const giveUp = attempts >= maxAttempts();
+  return updateWebhookDelivery(delivery._id, {
+    status: giveUp ? 'failed' : 'pending',
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: String(error).slice(0, MAX_ERROR_LENGTH),
+    nextAttemptAt: giveUp ? null : new Date(Date.now() + backoff(attempts))
+  });
+}
+
+let draining = null;
+
+/**
+ * Send every delivery that is due, one at a time. Concurrent calls share
+ * one run; claims keep other processes from sending the same delivery.
+ */
+function deliverDueWebhooks() {
+  draining = draining || (async () => {
+    try {
+      let delivery;
+      while ((delivery = await claimWebhookDelivery(new Date(), new Date(Date.now() + LEASE_MS)))) {
+        await attemptDelivery(delivery);
+      }
+    } catch (err) {
+      logger.error('Webhook delivery error', { err });
+    } finally {
+      draining = null;
+    }
+  })();
+  return draining;
+}
+
+/**
+ * Queue `event` for every active subscription to it and start sending.
+ * Never throws: a failing webhook must not fail the request that caused it.
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const subscriptions = await findWebhookSubscriptionsForEvent(event);
+    if (!subscriptions.length) return [];
+    const now = new Date();
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = { id: eventId, type: event, createdAt: now.toISOString(), data };
+    const deliveries = await insertWebhookDeliveries(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      url: subscription.url,
+      eventId,
+      event,
+      payload,
+      nextAttemptAt: now,
+      expiresAt: new Date(now.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+    })));
+    deliverDueWebhooks();
+    return deliveries;
+  } catch (err) {
+    logger.error('Could not queue webhook event', { event, err });
+    return [];
+  }
+}
+
+/**
+ * Send a logged delivery's event again, as a new delivery with the same
+ * event id (so receivers can tell it is the same event).
+ */
+async function replayWebhookDelivery(id) {
+  const original = await findWebhookDelivery(id);
+  if (!original) {
+    throw new BusinessError('Webhook delivery not found', 'WEBHOOK_DELIVERY_NOT_FOUND');
+  }
+  const subscription = await findWebhookSubscription(original.subscription);
+  if (!subscription) {
+    throw new BusinessError('The subscription for this delivery was deleted', 'WEBHOOK_NOT_FOUND');
+  }
+  const now = new Date();
+  const [replay] = await insertWebhookDeliveries([{
+    subscription: subscription._id,
+    url: subscription.url,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+    nextAttemptAt: now,
+    expiresAt: new Date(now.getTime() + retentionDays() * 24 * 60 * 60 * 1000)
+  }]);
+  deliverDueWebhooks();
+  return replay;
+}
+
+/**
+ * Poll for due deliveries (retries, and anything left over from before a
+ * restart) every WEBHOOK_POLL_INTERVAL_MS (default 15s). Returns a stop function.
+ */
+function startWebhookWorker({ intervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 15 * 1000 } = {}) {
+  deliverDueWebhooks();
+  const timer = setInterval(deliverDueWebhooks, intervalMs);
+  timer.unref();
+  return async () => {
+    clearInterval(timer);
+    if (draining) await draining;
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  changeWebhookSubscription,
+  emitWebhookEvent,
+  replayWebhookDelivery,
+  deliverDueWebhooks,
+  startWebhookWorker
+};
@@ -0,0 +1,1074 @@
+// persistence/memory.js
+// In-process backend with the same contract as the Mongo one: collections are
+// held in memory and, when a file is given, mirrored to a JSON file so data
+// survives restarts. Meant for local demos and tests, not for production.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../business/logger');
+
+const COLLECTIONS = ['waitlist', 'contacts', 'privacyRequests', 'privacyAudits', 'adminUsers', 'numberReputations', 'spamReports', 'blocklist', 'apiKeys', 'usageCounters', 'rateLimits', 'callEvents', 'knownSpam', 'webhookSubscriptions', 'webhookDeliveries', 'capacityThresholds', 'migrations'];
+
+// Unique indexes (a field or a compound list), enforced with Mongo-style
+// duplicate key errors (sparse: docs with an unset field are skipped)
+const UNIQUE = {
+  waitlist: ['email', 'referralCode', 'verificationTokenHash'],
+  contacts: [],
+  privacyRequests: ['tokenHash'],
+  privacyAudits: ['seq'],
+  adminUsers: ['username'],
+  numberReputations: ['number'],
+  spamReports: [],
+  blocklist: [['owner', 'type', 'pattern']],
+  apiKeys: ['keyHash'],
+  usageCounters: [['key', 'period', 'start', 'endpoint', 'client']],
+  rateLimits: ['key'],
+  callEvents: [['owner', 'eventId']],
+  knownSpam: ['number', 'version'],
+  webhookSubscriptions: [],
+  webhookDeliveries: [],
+  capacityThresholds: ['threshold'],
+  migrations: ['name']
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const PROCESS_ID = crypto.randomBytes(5).toString('hex');
+let counter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+/**
+ * ObjectId-shaped id (time, process, counter) so ids sort by creation like Mongo's.
+ */
+function createId() {
+  counter = (counter + 1) % 0xffffff;
+  const time = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  return time + PROCESS_ID + counter.toString(16).padStart(6, '0');
+}
+
+function normalizeEmail(email) {
+  return (email || '').toLowerCase().trim();
+}
+
+function duplicateKeyError(fields, doc) {
+  const err = new Error(`E11000 duplicate key error: ${fields.map(field => `${field} "${doc[field]}"`).join(', ')} already exists`);
+  err.code = 11000;
+  err.keyPattern = Object.fromEntries(fields.map(field => [field, 1]));
+  err.keyValue = Object.fromEntries(fields.map(field => [field, doc[field]]));
+  return err;
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mongo sort order: missing values first, then natural order.
+ */
+function compareValues(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function omit(doc, fields) {
+  const copy = structuredClone(doc);
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Copy only the listed fields; "a.b" keeps b of each element of array a.
+ */
+function pick(doc, fields) {
+  const copy = { _id: doc._id };
+  for (const field of fields) {
+    const [head, sub] = field.split('.');
+    if (doc[head] === undefined) continue;
+    copy[head] = sub && Array.isArray(doc[head])
+      ? doc[head].map(item => ({ [sub]: item[sub] }))
+      : structuredClone(doc[head]);
+  }
+  return copy;
+}
+
+// Personal fields of webhook payloads and what erasure replaces them with
+const ERASED_PAYLOAD_FIELDS = { name: '[erased]', email: 'erased@erased.invalid', message: '[erased]' };
+
+function erasePayloadData(data) {
+  return Object.fromEntries(Object.entries(data).map(([field, value]) =>
+    [field, field in ERASED_PAYLOAD_FIELDS ? ERASED_PAYLOAD_FIELDS[field] : value]));
+}
+
+function inRange(value, from, to) {
+  if (from && !(value >= from)) return false;
+  if (to && !(value < to)) return false;
+  return true;
+}
+
+/**
+ * Create a store. With `file`, data is loaded on connectDB() and written back
+ * (atomically, via a temp file) after every change.
+ */
+function createMemoryStore({ file } = {}) {
+  const data = {};
+  COLLECTIONS.forEach(name => { data[name] = new Map(); });
+
+  let writing = null;
+  let dirty = false;
+
+  function snapshot() {
+    const out = {};
+    COLLECTIONS.forEach(name => { out[name] = [...data[name].values()]; });
+    return JSON.stringify(out);
+  }
+
+  async function flush() {
+    try {
+      while (dirty) {
+        dirty = false;
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot());
+        await fs.promises.rename(tmp, file);
+      }
+    } finally {
+      writing = null;
+    }
+  }
+
+  // Coalesces concurrent changes into as few writes as possible
+  async function persist() {
+    if (!file) return;
+    dirty = true;
+    writing = writing || flush();
+    return writing;
+  }
+
+  // TTL indexes: expired unverified signups, privacy requests, spam reports, blocklist entries,
+  // usage and rate-limit counters, call events and webhook deliveries disappear
+  function purgeExpired() {
+    const now = new Date();
+    for (const [id, doc] of data.waitlist) {
+      if (doc.verificationExpiresAt && doc.verificationExpiresAt <= now) data.waitlist.delete(id);
+    }
+    for (const name of ['privacyRequests', 'spamReports', 'blocklist', 'usageCounters', 'rateLimits', 'callEvents', 'webhookDeliveries']) {
+      for (const [id, doc] of data[name]) {
+        if (doc.expiresAt && doc.expiresAt <= now) data[name].delete(id);
+      }
+    }
+  }
+
+  function all(name) {
+    purgeExpired();
+    return [...data[name].values()];
+  }
+
+  function findOne(name, predicate) {
+    return all(name).find(predicate) || null;
+  }
+
+  function assertUnique(name, doc) {
+    for (const index of UNIQUE[name]) {
+      const fields = [].concat(index);
+      if (fields.some(field => doc[field] == null)) continue;
+      const clash = all(name).find(other => other._id !== doc._id && fields.every(field => other[field] === doc[field]));
+      if (clash) throw duplicateKeyError(fields, doc);
+    }
+  }
+
+  async function insert(name, fields, { timestamps = true } = {}) {
+    const now = new Date();
+    const doc = { _id: createId(), ...fields };
+    Object.keys(doc).forEach(key => doc[key] === undefined && delete doc[key]);
+    if (timestamps) {
+      doc.createdAt = now;
+      doc.updatedAt = now;
+    }
+    assertUnique(name, doc);
+    data[name].set(doc._id, doc);
+    await persist();
+    return structuredClone(doc);
+  }
+
+  /**
+   * Apply `change` to the first doc matching `predicate`. Resolves to the
+   * updated doc (or the original with returnOriginal), or null when none matched.
+   */
+  async function update(name, predicate, change, { returnOriginal = false } = {}) {
+    const doc = findOne(name, predicate);
+    if (!doc) return null;
+    const original = structuredClone(doc);
+    const next = structuredClone(doc);
+    change(next);
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+    if (next.createdAt) next.updatedAt = new Date();
+    assertUnique(name, next);
+    data[name].set(doc._id, next);
+    await persist();
+    return structuredClone(returnOriginal ? original : next);
+  }
+
+  const isConfirmed = doc => doc.status !== 'pending';
+
+  function listPage(name, { page, limit, q, searchFields, sort, dir, hidden, where = () => true }) {
+    const pattern = q ? new RegExp(escapeRegex(q), 'i') : null;
+    const matches = all(name)
+      .filter(where)
+      .filter(doc => !pattern || searchFields.some(field => doc[field] != null && pattern.test(String(doc[field]))))
+      .sort((a, b) => dir * (compareValues(a[sort], b[sort]) || compareValues(a._id, b._id)));
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(doc => omit(doc, hidden)),
+      total: matches.length
+    };
+  }
+
+  async function connectDB() {
+    if (file) {
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'), (key, value) =>
+          typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value);
+        COLLECTIONS.forEach(name => {
+          data[name] = new Map((saved[name] || []).map(doc => [doc._id, doc]));
+        });
+        logger.info('Loaded data file', { file });
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        logger.info('Starting a new data file', { file });
+      }
+    } else {
+      logger.warn('Using the in-memory store: data is lost on restart');
+    }
+    return true;
+  }
+
+  async function closeDB() {
+    if (writing) await writing;
+  }
+
+  function getDBStatus() {
+    return { backend: file ? 'file' : 'memory', status: 'connected', host: file ? `file:${file}` : 'memory' };
+  }
+
+  async function pingDB() {
+    // The file backend is only usable while it can still save
+    if (file) await fs.promises.access(path.dirname(file), fs.constants.W_OK);
+    return true;
+  }
+
+  async function insertWaitlistEntry({ name, email, ipAddress, userAgent, verificationTokenHash, verificationExpiresAt, referralCode, referredBy }) {
+    const joinedAt = new Date();
+    return insert('waitlist', {
+      name: String(name).trim(),
+      email: normalizeEmail(email),
+      ipAddress,
+      userAgent,
+      joinedAt,
+      status: 'pending',
+      verificationTokenHash,
+      verificationExpiresAt,
+      referralCode,
+      referredBy,
+      referralCount: 0,
+      queueScore: joinedAt.getTime()
+    });
+  }
+
+  async function refreshVerificationToken(id, { verificationTokenHash, verificationExpiresAt }) {
+    return update('waitlist', doc => doc._id === String(id) && doc.status === 'pending', doc => {
+      Object.assign(doc, { verificationTokenHash, verificationExpiresAt });
+    });
+  }
+
+  async function confirmByVerificationToken(verificationTokenHash) {
+    const now = new Date();
+    return update('waitlist', doc =>
+      doc.verificationTokenHash === verificationTokenHash &&
+      doc.status === 'pending' &&
+      doc.verificationExpiresAt > now,
+    doc => {
+      doc.status = 'confirmed';
+      doc.confirmedAt = now;
+      delete doc.verificationTokenHash;
+      delete doc.verificationExpiresAt;
+    });
+  }
+
+  async function countWaitlist() {
+    return all('waitlist').filter(isConfirmed).length;
+  }
+
+  async function getQueuePosition(entry) {
+    const scoreOf = doc => (doc.queueScore != null ? doc.queueScore : doc.joinedAt.getTime());
+    const score = scoreOf(entry);
+    return all('waitlist').filter(doc => isConfirmed(doc) && scoreOf(doc) < score).length + 1;
+  }
+
+  async function findByReferralCode(referralCode) {
+    const code = String(referralCode || '').toUpperCase();
+    return structuredClone(findOne('waitlist', doc => isConfirmed(doc) && doc.referralCode === code));
+  }
+
+  async function assignReferralCode(id, referralCode) {
+    return update('waitlist', doc => doc._id === String(id) && doc.referralCode === undefined, doc => {
+      doc.referralCode = referralCode;
+    });
+  }
+
+  async function creditReferral(id, { boostMs, maxCredits }) {
+    return update('waitlist', doc =>
+      doc._id === String(id) && isConfirmed(doc) && !((doc.referralCount || 0) >= maxCredits),
+    doc => {
+      doc.referralCount = (doc.referralCount || 0) + 1;
+      doc.queueScore = (doc.queueScore != null ? doc.queueScore : doc.joinedAt.getTime()) - boostMs;
+    });
+  }
+
+  async function countRecentByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
+    const since = new Date(Date.now() - sinceMs);
+    return all('waitlist').filter(doc => doc.ipAddress === ipAddress && doc.joinedAt >= since).length;
+  }
+
+  async function findByEmail(email) {
+    return structuredClone(findOne('waitlist', doc => doc.email === normalizeEmail(email)));
+  }
+
+  async function setStatusToken(email, { statusTokenHash, statusTokenExpiresAt }) {
+    return update('waitlist', doc => doc.email === normalizeEmail(email), doc => {
+      Object.assign(doc, { statusTokenHash, statusTokenExpiresAt });
+    });
+  }
+
+  async function findByStatusToken(statusTokenHash) {
+    const now = new Date();
+    return structuredClone(findOne('waitlist', doc =>
+      doc.statusTokenHash === statusTokenHash && doc.statusTokenExpiresAt > now));
+  }
+
+  async function getStats() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const confirmed = all('waitlist').filter(isConfirmed);
+    return { total: confirmed.length, recent: confirmed.filter(doc => doc.joinedAt >= since).length };
+  }
+
+  async function insertContactEntry({ name, email, subject, message, ipAddress, userAgent }) {
+    return insert('contacts', {
+      name: String(name).trim(),
+      email: normalizeEmail(email),
+      subject: String(subject).trim(),
+      message: String(message).trim(),
+      ipAddress,
+      userAgent,
+      status: 'new',
+      notes: [],
+      replies: []
+    });
+  }
+
+  async function countContactsByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
+    const since = new Date(Date.now() - sinceMs);
+    return all('contacts').filter(doc => doc.ipAddress === ipAddress && doc.createdAt >= since).length;
+  }
+
+  async function insertPrivacyRequest({ type, email, tokenHash, expiresAt, ipAddress }) {
+    return insert('privacyRequests', { type, email: normalizeEmail(email), tokenHash, expiresAt, status: 'pending', ipAddress });
+  }
+
+  function isOpenRequest(tokenHash) {
+    const now = new Date();
+    return doc => doc.tokenHash === tokenHash && doc.status === 'pending' && doc.expiresAt > now;
+  }
+
+  async function findPrivacyRequestByToken(tokenHash) {
+    return structuredClone(findOne('privacyRequests', isOpenRequest(tokenHash)));
+  }
+
+  async function claimPrivacyRequest(tokenHash) {
+    return update('privacyRequests', isOpenRequest(tokenHash), doc => {
+      doc.status = 'completed';
+      doc.completedAt = new Date();
+      delete doc.tokenHash;
+      delete doc.expiresAt;
+      delete doc.email;
+    }, { returnOriginal: true });
+  }
+
+  async function findPersonalData(email) {
+    const normalized = normalizeEmail(email);
+    return {
+      waitlist: all('waitlist')
+        .filter(doc => doc.email === normalized)
+        .map(doc => omit(doc, ['verificationTokenHash', 'statusTokenHash'])),
+      contacts: all('contacts')
+        .filter(doc => doc.email === normalized)
+        .map(doc => structuredClone(doc)),
+      webhookDeliveries: all('webhookDeliveries')
+        .filter(doc => doc.payload && doc.payload.data && doc.payload.data.email === normalized)
+        .map(({ _id, eventId, event, payload, status, createdAt }) => structuredClone({ _id, eventId, event, payload, status, createdAt }))
+    };
+  }
+
+  async function erasePersonalData(email) {
+    const normalized = normalizeEmail(email);
+    let waitlist = 0;
+    let contacts = 0;
+    for (const doc of all('waitlist')) {
+      if (doc.email !== normalized) continue;
+      data.waitlist.delete(doc._id);
+      waitlist++;
+    }
+    for (const doc of all('contacts')) {
+      if (doc.email !== normalized) continue;
+      Object.assign(doc, {
+        name: '[erased]',
+        email: 'erased@erased.invalid',
+        message: '[erased]',
+        ipAddress: '[erased]',
+        userAgent: '[erased]',
+        notes: [],
+        replies: [],
+        updatedAt: new Date()
+      });
+      contacts++;
+    }
+    let webhookDeliveries = 0;
+    for (const doc of all('webhookDeliveries')) {
+      if (!doc.payload || !doc.payload.data || doc.payload.data.email !== normalized) continue;
+      doc.payload = { ...doc.payload, data: erasePayloadData(doc.payload.data) };
+      doc.updatedAt = new Date();
+      webhookDeliveries++;
+    }
+    await persist();
+    return { waitlist, contacts, webhookDeliveries };
+  }
+
+  async function getLastPrivacyAudit() {
+    const records = all('privacyAudits').sort((a, b) => b.seq - a.seq);
+    return records.length ? structuredClone(records[0]) : null;
+  }
+
+  async function insertPrivacyAudit(record) {
+    return insert('privacyAudits', record, { timestamps: false });
+  }
+
+  async function listPrivacyAudits() {
+    return all('privacyAudits').sort((a, b) => a.seq - b.seq).map(doc => structuredClone(doc));
+  }
+
+  async function listWaitlistEntries({ page, limit, q, sort, dir }) {
+    return listPage('waitlist', {
+      page, limit, q, sort, dir,
+      searchFields: ['name', 'email', 'referralCode'],
+      hidden: ['verificationTokenHash', 'statusTokenHash']
+    });
+  }
+
+  async function listContactEntries({ page, limit, q, sort, dir }) {
+    return listPage('contacts', {
+      page, limit, q, sort, dir,
+      searchFields: ['name', 'email', 'subject', 'message'],
+      hidden: ['notes', 'replies']
+    });
+  }
+
+  async function* streamWaitlistEntries({ from, to, verified } = {}) {
+    const docs = all('waitlist')
+      .filter(doc => inRange(doc.joinedAt, from, to))
+      .filter(doc => verified === undefined || isConfirmed(doc) === verified)
+      .sort((a, b) => compareValues(a.joinedAt, b.joinedAt));
+    for (const doc of docs) {
+      yield pick(doc, ['name', 'email', 'status', 'joinedAt', 'confirmedAt', 'referralCode', 'referralCount', 'referredBy']);
+    }
+  }
+
+  async function* streamContactEntries({ from, to, subject, status } = {}) {
+    const docs = all('contacts')
+      .filter(doc => inRange(doc.createdAt, from, to))
+      .filter(doc => (!subject || doc.subject === subject) && (!status || doc.status === status))
+      .sort((a, b) => compareValues(a.createdAt, b.createdAt));
+    for (const doc of docs) {
+      yield pick(doc, ['name', 'email', 'subject', 'message', 'status', 'assignedTo', 'replies.sentAt', 'createdAt']);
+    }
+  }
+
+  async function findContactById(id) {
+    const contact = data.contacts.get(String(id));
+    if (!contact) return null;
+    const result = structuredClone(contact);
+    if (result.assignedTo) {
+      const admin = data.adminUsers.get(result.assignedTo);
+      result.assignedTo = admin ? { _id: admin._id, username: admin.username } : null;
+    }
+    return result;
+  }
+
+  async function updateContactStatus(id, from, to) {
+    return update('contacts', doc => doc._id === String(id) && doc.status === from, doc => {
+      doc.status = to;
+    });
+  }
+
+  async function setContactAssignee(id, adminId) {
+    return update('contacts', doc => doc._id === String(id), doc => {
+      doc.assignedTo = adminId ? String(adminId) : undefined;
+    });
+  }
+
+  async function addContactNote(id, { author, body }) {
+    return update('contacts', doc => doc._id === String(id), doc => {
+      doc.notes.push({ _id: createId(), author, body, createdAt: new Date() });
+    });
+  }
+
+  async function addContactReply(id, { author, to, subject, body, messageId }) {
+    return update('contacts', doc => doc._id === String(id), doc => {
+      doc.replies.push({ _id: createId(), author, to, subject, body, messageId, sentAt: new Date() });
+      doc.status = 'replied';
+    });
+  }
+
+  async function insertAdminUser({ username, passwordHash }) {
+    return insert('adminUsers', { username: String(username).toLowerCase().trim(), passwordHash });
+  }
+
+  async function findAdminByUsername(username) {
+    const normalized = (username || '').toLowerCase().trim();
+    return structuredClone(findOne('adminUsers', doc => doc.username === normalized));
+  }
+
+  async function findAdminById(id) {
+    const admin = data.adminUsers.get(String(id));
+    return admin ? structuredClone(admin) : null;
+  }
+
+  async function countAdminUsers() {
+    return data.adminUsers.size;
+  }
+
+  async function listAdminUsers() {
+    return all('adminUsers')
+      .sort((a, b) => compareValues(a.username, b.username))
+      .map(doc => omit(doc, ['passwordHash']));
+  }
+
+  async function recordAdminLogin(id) {
+    return update('adminUsers', doc => doc._id === String(id), doc => {
+      doc.lastLoginAt = new Date();
+    });
+  }
+
+  async function findNumberReputation(number) {
+    return structuredClone(findOne('numberReputations', doc => doc.number === number));
+  }
+
+  async function saveNumberReputation(number, fields) {
+    const changes = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const updated = await update('numberReputations', doc => doc.number === number, doc => {
+      Object.assign(doc, changes);
+    });
+    return updated || insert('numberReputations', { number, score: 0, category: 'unknown', reportCount: 0, ...changes });
+  }
+
+  async function insertSpamReport({ number, category, reporter, weight, ipAddress, expiresAt }) {
+    return insert('spamReports', { number, category, reporter, weight, ipAddress, expiresAt });
+  }
+
+  async function countRecentReports({ number, reporter, ipAddress }, sinceMs = 24 * 60 * 60 * 1000) {
+    const since = new Date(Date.now() - sinceMs);
+    return all('spamReports').filter(doc =>
+      doc.number === number &&
+      (!reporter || doc.reporter === reporter) &&
+      (!ipAddress || doc.ipAddress === ipAddress) &&
+      doc.createdAt >= since).length;
+  }
+
+  async function findReportsForNumber(number, { limit = 1000 } = {}) {
+    return all('spamReports')
+      .filter(doc => doc.number === number)
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || compareValues(b._id, a._id))
+      .slice(0, limit)
+      .map(doc => pick(doc, ['category', 'reporter', 'weight', 'createdAt']));
+  }
+
+  async function getReporterStats(reporter) {
+    const reports = all('spamReports').filter(doc => doc.reporter === reporter);
+    return {
+      total: reports.length,
+      firstReportedAt: reports.reduce((first, doc) => (!first || doc.createdAt < first ? doc.createdAt : first), null)
+    };
+  }
+
+  function blocklistOf(owner) {
+    return all('blocklist').filter(doc => doc.owner === owner);
+  }
+
+  async function listBlocklistEntries(owner, { page, limit, q, source }) {
+    const label = q ? new RegExp(escapeRegex(q), 'i') : null;
+    const matches = blocklistOf(owner)
+      .filter(doc => !q || doc.pattern.startsWith(q) || (doc.label && label.test(doc.label)))
+      .filter(doc => !source || doc.source === source)
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt) || compareValues(b._id, a._id));
+    return {
+      items: matches.slice((page - 1) * limit, page * limit).map(doc => structuredClone(doc)),
+      total: matches.length
+    };
+  }
+
+  async function findAllBlocklistEntries(owner) {
+    return blocklistOf(owner)
+      .sort((a, b) => compareValues(a.createdAt, b.createdAt) || compareValues(a._id, b._id))
+      .map(doc => structuredClone(doc));
+  }
+
+  async function countBlocklistEntries(owner) {
+    return blocklistOf(owner).length;
+  }
+
+  async function findBlocklistEntry(owner, id) {
+    return structuredClone(findOne('blocklist', doc => doc.owner === owner && doc._id === String(id)));
+  }
+
+  async function findBlocklistMatch(owner, number) {
+    const matches = blocklistOf(owner).filter(doc =>
+      doc.type === 'exact' ? doc.pattern === number : number.startsWith(doc.pattern));
+    matches.sort((a, b) => (a.type === 'exact' ? -1 : 0) - (b.type === 'exact' ? -1 : 0) || b.pattern.length - a.pattern.length);
+    return matches.length ? structuredClone(matches[0]) : null;
+  }
+
+  async function insertBlocklistEntry({ owner, pattern, type, label, expiresAt, source = 'manual' }) {
+    return insert('blocklist', { owner, pattern, type, label, expiresAt, source });
+  }
+
+  async function updateBlocklistEntry(owner, id, changes) {
+    return update('blocklist', doc => doc.owner === owner && doc._id === String(id), doc => {
+      for (const [field, value] of Object.entries(changes)) {
+        if (value !== undefined) doc[field] = value === null ? undefined : value;
+      }
+    });
+  }
+
+  async function deleteBlocklistEntry(owner, id) {
+    const entry = data.blocklist.get(String(id));
+    if (!entry || entry.owner !== owner) return false;
+    data.blocklist.delete(entry._id);
+    await persist();
+    return true;
+  }
+
+  async function deleteAllBlocklistEntries(owner) {
+    const entries = [...data.blocklist.values()].filter(doc => doc.owner === owner);
+    entries.forEach(doc => data.blocklist.delete(doc._id));
+    await persist();
+    return entries.length;
+  }
+
+  async function upsertBlocklistEntries(owner, entries) {
+    let inserted = 0;
+    let updated = 0;
+    for (const { pattern, type, label, expiresAt, source } of entries) {
+      const changes = Object.fromEntries(Object.entries({ label, expiresAt, source }).filter(([, value]) => value !== undefined));
+      const existing = await update('blocklist', doc => doc.owner === owner && doc.type === type && doc.pattern === pattern, doc => {
+        Object.assign(doc, changes);
+      });
+      if (existing) {
+        updated++;
+      } else {
+        await insert('blocklist', { owner, pattern, type, source: 'manual', ...changes });
+        inserted++;
+      }
+    }
+    return { inserted, updated };
+  }
+
+  async function insertApiKey({ name, owner, prefix, keyHash, scopes, plan = 'free', createdBy, rotatedFrom }) {
+    return insert('apiKeys', { name: String(name).trim(), owner, prefix, keyHash, scopes, plan, createdBy, rotatedFrom });
+  }
+
+  async function findApiKeyByHash(keyHash) {
+    return structuredClone(findOne('apiKeys', doc => doc.keyHash === keyHash));
+  }
+
+  async function findApiKeyById(id) {
+    const apiKey = data.apiKeys.get(String(id));
+    return apiKey ? structuredClone(apiKey) : null;
+  }
+
+  async function listApiKeys({ owner } = {}) {
+    return all('apiKeys')
+      .filter(doc => !owner || doc.owner === owner)
+      .sort((a, b) => compareValues(b.createdAt, a.createdAt))
+      .map(doc => omit(doc, ['keyHash']));
+  }
+
+  async function revokeApiKeyById(id) {
+    const revoked = await update('apiKeys', doc => doc._id === String(id) && !doc.revokedAt, doc => {
+      doc.revokedAt = new Date();
+    });
+    return revoked && omit(revoked, ['keyHash']);
+  }
+
+  async function expireApiKey(id, expiresAt) {
+    const updated = await update('apiKeys', doc =>
+      doc._id === String(id) && !doc.revokedAt && !(doc.expiresAt && doc.expiresAt <= expiresAt),
+    doc => {
+      doc.expiresAt = expiresAt;
+    });
+    return updated && omit(updated, ['keyHash']);
+  }
+
+  async function touchApiKey(id, lastUsedAt = new Date()) {
+    return update('apiKeys', doc => doc._id === String(id), doc => {
+      doc.lastUsedAt = lastUsedAt;
+    });
+  }
+
+  async function incrementUsage(key, { endpoint = '*', client = '*' }, periods, by = 1) {
+    const counters = [];
+    for (const { period, start, expiresAt } of periods) {
+      const count = () => update('usageCounters', doc =>
+        doc.key === key && doc.period === period && doc.start === start && doc.endpoint === endpoint && doc.client === client,
+      doc => {
+        doc.count += by;
+      });
+      let counter = await count();
+      if (!counter) {
+        try {
+          counter = await insert('usageCounters', { key, period, start, endpoint, client, count: by, expiresAt }, { timestamps: false });
+        } catch (err) {
+          // Another request created the counter first
+          if (err.code !== 11000) throw err;
+          counter = await count();
+        }
+      }
+      counters.push({ period, start, count: counter.count });
+    }
+    return counters;
+  }
+
+  async function findUsageCounters(key, periods, { endpoint, client } = {}) {
+    return all('usageCounters')
+      .filter(doc => doc.key === key &&
+        periods.some(({ period, start }) => doc.period === period && doc.start === start) &&
+        (!endpoint || doc.endpoint === endpoint) &&
+        (!client || doc.client === client))
+      .map(doc => ({ key, period: doc.period, start: doc.start, endpoint: doc.endpoint, client: doc.client, count: doc.count }));
+  }
+
+  async function incrementRateLimit(key, windowMs) {
+    const count = () => update('rateLimits', doc => doc.key === key, doc => {
+      doc.count += 1;
+    });
+    let counter = await count();
+    if (!counter) {
+      try {
+        counter = await insert('rateLimits', { key, count: 1, expiresAt: new Date(Date.now() + windowMs) }, { timestamps: false });
+      } catch (err) {
+        // Another request created the counter first
+        if (err.code !== 11000) throw err;
+        counter = await count();
+      }
+    }
+    return { count: counter.count, expiresAt: counter.expiresAt };
+  }
+
+  async function decrementRateLimit(key) {
+    await update('rateLimits', doc => doc.key === key && doc.count > 0, doc => {
+      doc.count -= 1;
+    });
+  }
+
+  async function resetRateLimit(key) {
+    const doc = findOne('rateLimits', candidate => candidate.key === key);
+    if (doc) {
+      data.rateLimits.delete(doc._id);
+      await persist();
+    }
+  }
+
+  async function findRateLimit(key) {
+    const doc = findOne('rateLimits', candidate => candidate.key === key);
+    return doc && { count: doc.count, expiresAt: doc.expiresAt };
+  }
+
+  async function insertCallEvents(owner, events) {
+    let inserted = 0;
+    let duplicates = 0;
+    for (const event of events) {
+      try {
+        await insert('callEvents', { ...event, owner, receivedAt: new Date() }, { timestamps: false });
+        inserted++;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        duplicates++;
+      }
+    }
+    return { inserted, duplicates };
+  }
+
+  async function listCallEvents(owner, deviceId, { limit, before }) {
+    const newestFirst = (a, b) => compareValues(b.startedAt, a.startedAt) || compareValues(b._id, a._id);
+    return all('callEvents')
+      .filter(doc => doc.owner === owner && doc.deviceId === deviceId)
+      .filter(doc => !before || newestFirst({ startedAt: before.startedAt, _id: before.id }, doc) < 0)
+      .sort(newestFirst)
+      .slice(0, limit)
+      .map(doc => structuredClone(doc));
+  }
+
+  async function findLatestKnownSpamVersion() {
+    return all('knownSpam').reduce((latest, doc) => Math.max(latest, doc.version), 0);
+  }
+
+  async function saveKnownSpamNumber(number, { category, label, addedBy, version }) {
+    const updated = await update('knownSpam', doc => doc.number === number, doc => {
+      Object.assign(doc, { category, label, addedBy, version, removedAt: null });
+    });
+    return updated || insert('knownSpam', { number, category, label, addedBy, version, removedAt: null });
+  }
+
+  async function removeKnownSpamNumber(number, { version }) {
+    return update('knownSpam', doc => doc.number === number && !doc.removedAt, doc => {
+      Object.assign(doc, { version, removedAt: new Date() });
+    });
+  }
+
+  async function listKnownSpamNumbers({ page, limit, q, sort, dir }) {
+    return listPage('knownSpam', {
+      page, limit, q, sort, dir,
+      searchFields: ['number', 'label', 'category'],
+      hidden: [],
+      where: doc => !doc.removedAt
+    });
+  }
+
+  async function findKnownSpamNumber(number) {
+    return structuredClone(findOne('knownSpam', doc => doc.number === number && !doc.removedAt));
+  }
+
+  async function findAllKnownSpamNumbers() {
+    return all('knownSpam').filter(doc => !doc.removedAt).map(doc => pick(doc, ['number', 'category']));
+  }
+
+  async function findKnownSpamChanges(version) {
+    return all('knownSpam')
+      .filter(doc => doc.version > version)
+      .map(doc => pick(doc, ['number', 'category', 'removedAt', 'version']));
+  }
+
+  async function countKnownSpamChanges(version) {
+    return all('knownSpam').filter(doc => doc.version > version).length;
+  }
+
+  async function insertWebhookSubscription({ url, events, secret, description, createdBy }) {
+    return insert('webhookSubscriptions', { url, events, secret, description, active: true, createdBy });
+  }
+
+  async function listWebhookSubscriptions() {
+    return structuredClone(all('webhookSubscriptions').sort((a, b) => compareValues(b.createdAt, a.createdAt)));
+  }
+
+  async function findWebhookSubscription(id) {
+    return structuredClone(findOne('webhookSubscriptions', doc => doc._id === String(id)));
+  }
+
+  async function findWebhookSubscriptionsForEvent(event) {
+    return structuredClone(all('webhookSubscriptions')
+      .filter(doc => doc.active && (doc.events.includes(event) || doc.events.includes('*'))));
+  }
+
+  async function setWebhookSubscriptionActive(id, active) {
+    return update('webhookSubscriptions', doc => doc._id === String(id), doc => {
+      doc.active = active;
+    });
+  }
+
+  async function deleteWebhookSubscription(id) {
+    const subscription = findOne('webhookSubscriptions', doc => doc._id === String(id));
+    if (!subscription) return null;
+    data.webhookSubscriptions.delete(subscription._id);
+    await persist();
+    return structuredClone(subscription);
+  }
+
+  async function insertWebhookDeliveries(deliveries) {
+    const inserted = [];
+    for (const delivery of deliveries) {
+      inserted.push(await insert('webhookDeliveries', { status: 'pending', attempts: 0, ...delivery, subscription: String(delivery.subscription) }));
+    }
+    return inserted;
+  }
+
+  async function claimWebhookDelivery(now, leaseUntil) {
+    const [due] = all('webhookDeliveries')
+      .filter(doc => doc.status === 'pending' && doc.nextAttemptAt <= now)
+      .sort((a, b) => compareValues(a.nextAttemptAt, b.nextAttemptAt));
+    if (!due) return null;
+    return update('webhookDeliveries', doc => doc._id === due._id, doc => {
+      doc.nextAttemptAt = leaseUntil;
+    });
+  }
+
+  async function updateWebhookDelivery(id, changes) {
+    return update('webhookDeliveries', doc => doc._id === String(id), doc => {
+      Object.assign(doc, changes);
+    });
+  }
+
+  async function findWebhookDelivery(id) {
+    return structuredClone(findOne('webhookDeliveries', doc => doc._id === String(id)));
+  }
+
+  async function listWebhookDeliveries({ page, limit, q, sort, dir }) {
+    return listPage('webhookDeliveries', {
+      page, limit, q, sort, dir,
+      searchFields: ['event', 'url', 'status', 'eventId'],
+      hidden: ['payload']
+    });
+  }
+
+  async function recordCapacityThreshold(threshold, { count, capacity }) {
+    try {
+      await insert('capacityThresholds', { threshold, count, capacity, reachedAt: new Date() }, { timestamps: false });
+      return true;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return false;
+    }
+  }
+
+  async function claimMigration(name) {
+    try {
+      await insert('migrations', { name, startedAt: new Date() }, { timestamps: false });
+      return true;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return false;
+    }
+  }
+
+  async function completeMigration(name) {
+    await update('migrations', doc => doc.name === name, doc => {
+      doc.completedAt = new Date();
+    });
+  }
+
+  async function rewriteSubmittedText(transform) {
+    const rewrite = async (name, fields) => {
+      let rewritten = 0;
+      for (const doc of all(name)) {
+        const changes = fields.filter(field => transform(doc[field]) !== doc[field]);
+        if (!changes.length) continue;
+        await update(name, candidate => candidate._id === doc._id, target => {
+          for (const field of changes) target[field] = transform(target[field]);
+        });
+        rewritten++;
+      }
+      return rewritten;
+    };
+    return {
+      waitlist: await rewrite('waitlist', ['name']),
+      contacts: await rewrite('contacts', ['name', 'message'])
+    };
+  }
+
+  return {
+    connectDB,
+    closeDB,
+    getDBStatus,
+    pingDB,
+    insertWaitlistEntry,
+    refreshVerificationToken,
+    confirmByVerificationToken,
+    countWaitlist,
+    getQueuePosition,
+    findByReferralCode,
+    assignReferralCode,
+    creditReferral,
+    countRecentByIP,
+    findByEmail,
+    setStatusToken,
+    findByStatusToken,
+    getStats,
+    insertContactEntry,
+    countContactsByIP,
+    insertPrivacyRequest,
+    findPrivacyRequestByToken,
+    claimPrivacyRequest,
+    findPersonalData,
+    erasePersonalData,
+    getLastPrivacyAudit,
+    insertPrivacyAudit,
+    listPrivacyAudits,
+    listWaitlistEntries,
+    listContactEntries,
+    streamWaitlistEntries,
+    streamContactEntries,
+    findContactById,
+    updateContactStatus,
+    setContactAssignee,
+    addContactNote,
+    addContactReply,
+    insertAdminUser,
+    findAdminByUsername,
+    findAdminById,
+    countAdminUsers,
+    listAdminUsers,
+    recordAdminLogin,
+    findNumberReputation,
+    saveNumberReputation,
+    insertSpamReport,
+    countRecentReports,
+    findReportsForNumber,
+    getReporterStats,
+    listBlocklistEntries,
+    findAllBlocklistEntries,
+    countBlocklistEntries,
+    findBlocklistEntry,
+    findBlocklistMatch,
+    insertBlocklistEntry,
+    updateBlocklistEntry,
+    deleteBlocklistEntry,
+    deleteAllBlocklistEntries,
+    upsertBlocklistEntries,
+    insertApiKey,
+    findApiKeyByHash,
+    findApiKeyById,
+    listApiKeys,
+    revokeApiKeyById,
+    expireApiKey,
+    touchApiKey,
+    incrementUsage,
+    findUsageCounters,
+    incrementRateLimit,
+    decrementRateLimit,
+    resetRateLimit,
+    findRateLimit,
+    insertCallEvents,
+    listCallEvents,
+    findLatestKnownSpamVersion,
+    saveKnownSpamNumber,
+    removeKnownSpamNumber,
+    listKnownSpamNumbers,
+    findKnownSpamNumber,
+    findAllKnownSpamNumbers,
+    findKnownSpamChanges,
+    countKnownSpamChanges,
+    insertWebhookSubscription,
+    listWebhookSubscriptions,
+    findWebhookSubscription,
+    findWebhookSubscriptionsForEvent,
+    setWebhookSubscriptionActive,
+    deleteWebhookSubscription,
+    insertWebhookDeliveries,
+    claimWebhookDelivery,
+    updateWebhookDelivery,
+    findWebhookDelivery,
+    listWebhookDeliveries,
+    recordCapacityThreshold,
+    claimMigration,
+    completeMigration,
+    rewriteSubmittedText
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,2022 @@
+// persistence/mongo.js
+// MongoDB backend: connection + Mongoose models + DB helpers
+
+const mongoose = require('mongoose');
+const MongoStore = require('connect-mongo');
+const { logger } = require('../business/logger');
+
+const WaitlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [50, 'Name must be less than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email']
+  },
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Double opt-in. Entries created before verification existed have no
+  // status and are treated as confirmed, so there is deliberately no default.
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed']
+  },
+  verificationTokenHash: {
+    type: String
+  },
+  verificationExpiresAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Waitlist'
+  },
+  // Confirmed signups made with this entry's referral code
+  referralCount: {
+    type: Number,
+    default: 0
+  },
+  // Queue ordering key in ms: joinedAt minus any referral boosts. Lower is earlier.
+  queueScore: {
+    type: Number
+  },
+  // Magic link for the self-service status page (reusable until it expires)
+  statusTokenHash: {
+    type: String
+  },
+  statusTokenExpiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WaitlistSchema.index({ ipAddress: 1 });
+WaitlistSchema.index({ queueScore: 1 });
+WaitlistSchema.index({ statusTokenHash: 1 }, { sparse: true });
+WaitlistSchema.index({ verificationTokenHash: 1 }, { unique: true, sparse: true });
+// Unconfirmed entries are purged once their verification link expires;
+// confirming unsets the field so confirmed entries are never touched.
+WaitlistSchema.index({ verificationExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Only confirmed (or legacy, pre-verification) entries count as being on the waitlist.
+const CONFIRMED = { status: { $ne: 'pending' } };
+
+const Waitlist = mongoose.models.Waitlist || mongoose.model('Waitlist', WaitlistSchema);
+
+// Contact form schema
+const ContactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [50, 'Name must be less than 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [100, 'Subject must be less than 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    minlength: [10, 'Message must be at least 10 characters'],
+    maxlength: [1000, 'Message must be less than 1000 characters']
+  },
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['new', 'read', 'replied'],
+    default: 'new'
+  },
+  // Triage: the operator handling the message
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+  // Internal notes, never sent to the sender
+  notes: [{
+    author: { type: String, required: true },
+    body: { type: String, required: true, maxlength: 2000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Replies emailed to the sender, oldest first
+  replies: [{
+    author: { type: String, required: true },
+    to: { type: String, required: true },
+    subject: { type: String, required: true },
+    body: { type: String, required: true, maxlength: 5000 },
+    messageId: { type: String },
+    sentAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+ContactSchema.index({ createdAt: -1 });
+ContactSchema.index({ status: 1 });
+ContactSchema.index({ assignedTo: 1 });
+
+const Contact = mongoose.models.Contact || mongoose.model('Contact', ContactSchema);
+
+// Data-subject (GDPR / PDPPL) requests awaiting or past email verification
+const PrivacyRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['export', 'erase'],
+    required: true
+  },
+  // Held only until the request is fulfilled
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  tokenHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed'],
+    default: 'pending'
+  },
+  ipAddress: {
+    type: String,
+    required: true
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+PrivacyRequestSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+PrivacyRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PrivacyRequest = mongoose.models.PrivacyRequest || mongoose.model('PrivacyRequest', PrivacyRequestSchema);
+
+// Append-only, hash-chained record of fulfilled data-subject requests
+const PrivacyAuditSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['export', 'erase'],
+    required: true
+  },
+  subjectHash: {
+    type: String,
+    required: true
+  },
+  affected: {
+    waitlist: { type: Number, default: 0 },
+    contacts: { type: Number, default: 0 },
+    // Absent on records from before deliveries were counted
+    webhookDeliveries: { type: Number }
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+const PrivacyAudit = mongoose.models.PrivacyAudit || mongoose.model('PrivacyAudit', PrivacyAuditSchema);
+
+// Operator accounts for the /admin console
+const AdminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: [3, 'Username must be at least 3 characters'],
+    maxlength: [50, 'Username must be less than 50 characters']
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const AdminUser = mongoose.models.AdminUser || mongoose.model('AdminUser', AdminUserSchema);
+
+// Spam reputation per phone number (E.164), read by the detection API
+const NumberReputationSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^\+[1-9]\d{6,14}$/, 'Number must be in E.164 format']
+  },
+  // 0 (safe) to 100 (certainly spam)
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  category: {
+    type: String,
+    enum: ['scam', 'telemarketing', 'robocall', 'safe', 'unknown'],
+    default: 'unknown'
+  },
+  // How many independent signals the score rests on
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Counted community reports per category
+  reportsByCategory: {
+    scam: { type: Number, default: 0 },
+    telemarketing: { type: Number, default: 0 },
+    robocall: { type: Number, default: 0 },
+    safe: { type: Number, default: 0 }
+  },
+  lastReportedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+const NumberReputation = mongoose.models.NumberReputation || mongoose.model('NumberReputation', NumberReputationSchema);
+
+// One community report about a number; reputations are aggregated from these
+const SpamReportSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    match: [/^\+[1-9]\d{6,14}$/, 'Number must be in E.164 format']
+  },
+  category: {
+    type: String,
+    enum: ['scam', 'telemarketing', 'robocall', 'safe'],
+    required: true
+  },
+  // Owner of the API key the report came through
+  reporter: {
+    type: String,
+    required: true
+  },
+  // Reporter trust (0-1) when the report was made
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+  ipAddress: {
+    type: String
+  },
+  // Removed automatically once old enough to no longer count
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+SpamReportSchema.index({ number: 1, createdAt: -1 });
+SpamReportSchema.index({ reporter: 1, createdAt: 1 });
+SpamReportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SpamReport = mongoose.models.SpamReport || mongoose.model('SpamReport', SpamReportSchema);
+
+// A user's own blocked numbers: exact E.164 numbers or number prefixes
+const BlocklistEntrySchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true
+  },
+  // E.164 number, or the leading digits (with +) for a prefix
+  pattern: {
+    type: String,
+    required: true,
+    match: [/^\+[1-9]\d{0,14}$/, 'Pattern must be an E.164 number or prefix']
+  },
+  type: {
+    type: String,
+    enum: ['exact', 'prefix'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label must be less than 100 characters']
+  },
+  // Removed automatically once passed
+  expiresAt: {
+    type: Date
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'community', 'auto'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+BlocklistEntrySchema.index({ owner: 1, type: 1, pattern: 1 }, { unique: true });
+BlocklistEntrySchema.index({ owner: 1, createdAt: -1 });
+BlocklistEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BlocklistEntry = mongoose.models.BlocklistEntry || mongoose.model('BlocklistEntry', BlocklistEntrySchema);
+
+// Keys for the /api/v1 API. Only a hash of the secret is stored.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  // Account the key acts for (blocklists etc. belong to it)
+  owner: {
+    type: String,
+    required: true
+  },
+  // Non-secret start of the key, shown in listings to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: ['detect', 'blocklist:read', 'blocklist:write', 'report', 'calls']
+  }],
+  // Usage plan, which sets the key's daily and monthly quotas
+  plan: {
+    type: String,
+    enum: ['free', 'partner', 'enterprise'],
+    default: 'free'
+  },
+  createdBy: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // Set on rotation: the old key keeps working until then
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  // The key this one replaced
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ owner: 1, createdAt: -1 });
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
+
+// Requests made by an API key owner, per UTC day or month: the total (endpoint
+// and client "*"), plus one counter per endpoint and one per client identity
+const UsageCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['day', 'month'],
+    required: true
+  },
+  // "YYYY-MM-DD" for days, "YYYY-MM" for months
+  start: {
+    type: String,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    default: '*'
+  },
+  client: {
+    type: String,
+    default: '*'
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date
+  }
+});
+
+UsageCounterSchema.index({ key: 1, period: 1, start: 1, endpoint: 1, client: 1 }, { unique: true });
+UsageCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UsageCounter = mongoose.models.UsageCounter || mongoose.model('UsageCounter', UsageCounterSchema);
+
+// Hits in the current rate-limit window for one limiter key (e.g. "signup:203.0.113.7")
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // End of the window; the counter starts over after it
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+
+// What happened on a call, as uploaded by a device. Stored in one collection
+// per month of the call (callevents_YYYYMM) so each stays small and old months
+// can be dropped whole.
+const CallEventSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Client-generated, unique per owner across all months (see CallEventId):
+  // uploading an event twice stores it once
+  eventId: {
+    type: String,
+    required: true
+  },
+  // E.164, or null when the caller ID was withheld
+  number: {
+    type: String,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['incoming', 'outgoing'],
+    default: 'incoming'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  durationSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  verdict: {
+    type: String,
+    enum: ['allow', 'warn', 'block', null],
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['allowed', 'blocked', 'silenced'],
+    required: true
+  },
+  spamScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  category: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: 'receivedAt', updatedAt: false }
+});
+
+CallEventSchema.index({ owner: 1, eventId: 1 }, { unique: true });
+CallEventSchema.index({ owner: 1, deviceId: 1, startedAt: -1, _id: -1 });
+CallEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CALL_PARTITION = /^callevents_\d{6}$/;
+
+function callPartition(date) {
+  const d = new Date(date);
+  return `callevents_${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+function callEventModel(partition) {
+  const name = `CallEvent_${partition.slice('callevents_'.length)}`;
+  return mongoose.models[name] || mongoose.model(name, CallEventSchema, partition);
+}
+
+// Every stored event's (owner, eventId), in one collection, so an event
+// uploaded again with a different startedAt month is still a duplicate
+const CallEventIdSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  partition: {
+    type: String,
+    required: true
+  },
+  // Same as the event's, so the two expire together
+  expiresAt: {
+    type: Date
+  }
+});
+
+CallEventIdSchema.index({ owner: 1, eventId: 1 }, { unique: true });
+CallEventIdSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CallEventId = mongoose.models.CallEventId || mongoose.model('CallEventId', CallEventIdSchema);
+
+// Monthly collection names, newest first; listed again after a minute so
+// months other instances started show up
+const PARTITION_CACHE_MS = 60 * 1000;
+let partitionCache = null;
+
+async function callPartitions() {
+  if (!partitionCache || partitionCache.expiresAt <= Date.now()) {
+    const names = (await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray())
+      .map(collection => collection.name)
+      .filter(name => CALL_PARTITION.test(name));
+    partitionCache = { names: new Set(names), expiresAt: Date.now() + PARTITION_CACHE_MS };
+  }
+  return [...partitionCache.names].sort().reverse();
+}
+
+// Numbers the team knows to be spam, published to devices by the sync feed.
+// Every change takes the next version; removed numbers stay as tombstones so
+// devices syncing a delta learn about the removal.
+const KnownSpamNumberSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^\+[1-9]\d{6,14}$/, 'Number must be in E.164 format']
+  },
+  category: {
+    type: String,
+    enum: ['scam', 'telemarketing', 'robocall'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label must be less than 100 characters']
+  },
+  addedBy: {
+    type: String
+  },
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  removedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const KnownSpamNumber = mongoose.models.KnownSpamNumber || mongoose.model('KnownSpamNumber', KnownSpamNumberSchema);
+
+// Endpoints notified of events. The secret signs payloads, so it is kept as is.
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    maxlength: [2000, 'URL must be less than 2000 characters']
+  },
+  // Event types sent to it; "*" is every event
+  events: [{
+    type: String
+  }],
+  secret: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description must be less than 200 characters']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.models.WebhookSubscription || mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
+
+// One event to send to one subscription, with its attempts so far. Pending
+// deliveries are picked up again after a restart.
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Event id, the same for every delivery (and replay) of one event
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lastStatusCode: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // The delivery this one replays
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ createdAt: -1 });
+WebhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDelivery = mongoose.models.WebhookDelivery || mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+// Waitlist capacity thresholds (percent) whose event has been emitted; kept
+// for good, so each threshold fires once
+const CapacityThresholdSchema = new mongoose.Schema({
+  threshold: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Confirmed entries and capacity when it was crossed
+  count: {
+    type: Number
+  },
+  capacity: {
+    type: Number
+  },
+  reachedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CapacityThreshold = mongoose.models.CapacityThreshold || mongoose.model('CapacityThreshold', CapacityThresholdSchema);
+
+// One-off data migrations that have been claimed, so each runs once
+const MigrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+const Migration = mongoose.models.Migration || mongoose.model('Migration', MigrationSchema);
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Paginated, searchable, sortable listing. `q` matches any of searchFields
+ * case-insensitively; sort is a field name and dir is 1 or -1.
+ */
+async function listPage(Model, { page, limit, q, searchFields, sort, dir, select, where = {} }) {
+  const filter = q
+    ? { ...where, $or: searchFields.map(field => ({ [field]: { $regex: escapeRegex(q), $options: 'i' } })) }
+    : where;
+  const [items, total] = await Promise.all([
+    Model.find(filter)
+      .sort({ [sort]: dir, _id: dir })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(select)
+      .lean(),
+    Model.countDocuments(filter)
+  ]);
+  return { items, total };
+}
+
+/**
+ * Connect to MongoDB using provided URI.
+ */
+async function connectDB(uri) {
+  if (!uri) {
+    logger.error('MONGODB_URI not provided');
+    process.exit(1);
+  }
+  try {
+    logger.info('Connecting to MongoDB');
+    await mongoose.connect(uri, {
+      serverSelectionTimeoutMS: 10000, // 10 second timeout
+      connectTimeoutMS: 10000,
+      maxPoolSize: 10,
+      retryWrites: true
+    });
+    logger.info('Connected to MongoDB');
+    return true;
+  } catch (err) {
+    logger.error('MongoDB connection error', {
+      err,
+      hint: err.name === 'MongoServerSelectionError' ? 'Check if MongoDB is running and URI is correct' : undefined
+    });
+    throw err; // Don't exit, let the caller handle it
+  }
+}
+
+async function closeDB() {
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed');
+}
+
+/**
+ * Connection state for health checks.
+ */
+function getDBStatus() {
+  return {
+    backend: 'mongo',
+    status: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    host: mongoose.connection.host || 'unknown'
+  };
+}
+
+/**
+ * Round trip to the server for readiness checks; rejects when it is unreachable.
+ */
+async function pingDB() {
+  if (mongoose.connection.readyState !== 1) {
+    throw new Error('MongoDB is not connected');
+  }
+  await mongoose.connection.db.admin().command({ ping: 1 });
+  return true;
+}
+
+/**
+ * Insert a new, pending waitlist entry awaiting email verification.
+ */
+async function insertWaitlistEntry({ name, email, ipAddress, userAgent, verificationTokenHash, verificationExpiresAt, referralCode, referredBy }) {
+  const joinedAt = new Date();
+  const entry = new Waitlist({
+    name,
+    email,
+    ipAddress,
+    userAgent,
+    joinedAt,
+    status: 'pending',
+    verificationTokenHash,
+    verificationExpiresAt,
+    referralCode,
+    referredBy,
+    queueScore: joinedAt.getTime()
+  });
+  return entry.save();
+}
+
+/**
+ * Replace the verification token of a still-pending entry (e.g. on re-signup).
+ */
+async function refreshVerificationToken(id, { verificationTokenHash, verificationExpiresAt }) {
+  return Waitlist.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { verificationTokenHash, verificationExpiresAt } },
+    { new: true }
+  );
+}
+
+/**
+ * Atomically confirm the pending entry owning an unexpired token.
+ * The token is removed in the same update, so it can only be used once.
+ */
+async function confirmByVerificationToken(verificationTokenHash) {
+  return Waitlist.findOneAndUpdate(
+    {
+      verificationTokenHash,
+      status: 'pending',
+      verificationExpiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { status: 'confirmed', confirmedAt: new Date() },
+      $unset: { verificationTokenHash: 1, verificationExpiresAt: 1 }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Count confirmed waitlist entries.
+ */
+async function countWaitlist() {
+  return Waitlist.countDocuments(CONFIRMED);
+}
+
+/**
+ * 1-based position of a confirmed entry, ordered by queueScore.
+ * Entries from before referrals existed have no queueScore and are
+ * ordered by their joinedAt instead.
+ */
+async function getQueuePosition(entry) {
+  const score = entry.queueScore != null ? entry.queueScore : entry.joinedAt.getTime();
+  const ahead = await Waitlist.countDocuments({
+    ...CONFIRMED,
+    $or: [
+      { queueScore: { $lt: score } },
+      { queueScore: { $exists: false }, joinedAt: { $lt: new Date(score) } }
+    ]
+  });
+  return ahead + 1;
+}
+
+/**
+ * Find a confirmed entry by its referral code.
+ */
+async function findByReferralCode(referralCode) {
+  return Waitlist.findOne({ ...CONFIRMED, referralCode: String(referralCode || '').toUpperCase() });
+}
+
+/**
+ * Give an entry a referral code if it has none yet (entries from before referrals).
+ */
+async function assignReferralCode(id, referralCode) {
+  return Waitlist.findOneAndUpdate(
+    { _id: id, referralCode: { $exists: false } },
+    { $set: { referralCode } },
+    { new: true }
+  );
+}
+
+/**
+ * Credit a confirmed referral: bump the count and move the referrer up the
+ * queue by boostMs, unless they already hold maxCredits referrals.
+ */
+async function creditReferral(id, { boostMs, maxCredits }) {
+  return Waitlist.findOneAndUpdate(
+    { _id: id, ...CONFIRMED, referralCount: { $not: { $gte: maxCredits } } },
+    [{
+      $set: {
+        referralCount: { $add: [{ $ifNull: ['$referralCount', 0] }, 1] },
+        queueScore: { $subtract: [{ $ifNull: ['$queueScore', { $toLong: '$joinedAt' }] }, boostMs] }
+      }
+    }],
+    { new: true }
+  );
+}
+
+/**
+ * Count entries from a specific IP within the last sinceMs milliseconds.
+ */
+async function countRecentByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
+  return Waitlist.countDocuments({
+    ipAddress,
+    joinedAt: { $gte: new Date(Date.now() - sinceMs) }
+  });
+}
+
+/**
+ * Find an entry by email.
+ */
+async function findByEmail(email) {
+  return Waitlist.findOne({ email: (email || '').toLowerCase().trim() });
+}
+
+/**
+ * Attach a status magic-link token to the entry with this email, if any.
+ */
+async function setStatusToken(email, { statusTokenHash, statusTokenExpiresAt }) {
+  return Waitlist.findOneAndUpdate(
+    { email: (email || '').toLowerCase().trim() },
+    { $set: { statusTokenHash, statusTokenExpiresAt } },
+    { new: true }
+  );
+}
+
+/**
+ * Find the entry owning an unexpired status token.
+ */
+async function findByStatusToken(statusTokenHash) {
+  return Waitlist.findOne({
+    statusTokenHash,
+    statusTokenExpiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Get basic stats over confirmed entries: total & recent (24h)
+ */
+async function getStats() {
+  const total = await Waitlist.countDocuments(CONFIRMED);
+  const recent = await Waitlist.countDocuments({
+    ...CONFIRMED,
+    joinedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+  return { total, recent };
+}
+
+/**
+ * Insert a new contact form entry.
+ */
+async function insertContactEntry({ name, email, subject, message, ipAddress, userAgent }) {
+  const entry = new Contact({
+    name,
+    email,
+    subject,
+    message,
+    ipAddress,
+    userAgent
+  });
+  return entry.save();
+}
+
+/**
+ * Count contact entries from a specific IP within the last sinceMs milliseconds.
+ */
+async function countContactsByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
+  return Contact.countDocuments({
+    ipAddress,
+    createdAt: { $gte: new Date(Date.now() - sinceMs) }
+  });
+}
+
+/**
+ * Insert a pending data-subject request.
+ */
+async function insertPrivacyRequest({ type, email, tokenHash, expiresAt, ipAddress }) {
+  const request = new PrivacyRequest({ type, email, tokenHash, expiresAt, ipAddress });
+  return request.save();
+}
+
+/**
+ * Find the pending request owning an unexpired token.
+ */
+async function findPrivacyRequestByToken(tokenHash) {
+  return PrivacyRequest.findOne({
+    tokenHash,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+}
+
+/**
+ * Atomically mark a pending request completed, dropping its token and email.
+ * Returns the request as it was before the update (so the email is available)
+ * or null when the token is unknown, expired or already used.
+ */
+async function claimPrivacyRequest(tokenHash) {
+  return PrivacyRequest.findOneAndUpdate(
+    {
+      tokenHash,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { status: 'completed', completedAt: new Date() },
+      $unset: { tokenHash: 1, expiresAt: 1, email: 1 }
+    },
+    { new: false }
+  );
+}
+
+/**
+ * Everything stored about an email address, as plain objects.
+ */
+async function findPersonalData(email) {
+  const normalized = (email || '').toLowerCase().trim();
+  const [waitlist, contacts, webhookDeliveries] = await Promise.all([
+    Waitlist.find({ email: normalized })
+      .select('-verificationTokenHash -statusTokenHash -__v')
+      .lean(),
+    Contact.find({ email: normalized })
+      .select('-__v')
+      .lean(),
+    WebhookDelivery.find({ 'payload.data.email': normalized })
+      .select('eventId event payload status createdAt')
+      .lean()
+  ]);
+  return { waitlist, contacts, webhookDeliveries };
+}
+
+// Personal fields of webhook payloads and what erasure replaces them with
+const ERASED_PAYLOAD_FIELDS = { name: '[erased]', email: 'erased@erased.invalid', message: '[erased]' };
+
+function erasePayloadData(data) {
+  return Object.fromEntries(Object.entries(data).map(([field, value]) =>
+    [field, field in ERASED_PAYLOAD_FIELDS ? ERASED_PAYLOAD_FIELDS[field] : value]));
+}
+
+/**
+ * Erase everything stored about an email address: waitlist entries are
+ * deleted, contact messages are kept as anonymised shells for our counts,
+ * and webhook payloads (logged and still to be sent) are anonymised.
+ */
+async function erasePersonalData(email) {
+  const normalized = (email || '').toLowerCase().trim();
+  const waitlist = await Waitlist.deleteMany({ email: normalized });
+  const contacts = await Contact.updateMany(
+    { email: normalized },
+    {
+      $set: {
+        name: '[erased]',
+        email: 'erased@erased.invalid',
+        message: '[erased]',
+        ipAddress: '[erased]',
+        userAgent: '[erased]',
+        notes: [],
+        replies: []
+      }
+    }
+  );
+  const deliveries = await WebhookDelivery.find({ 'payload.data.email': normalized }).select('payload').lean();
+  if (deliveries.length) {
+    await WebhookDelivery.bulkWrite(deliveries.map(({ _id, payload }) => ({
+      updateOne: { filter: { _id }, update: { $set: { 'payload.data': erasePayloadData(payload.data) } } }
+    })));
+  }
+  return { waitlist: waitlist.deletedCount, contacts: contacts.modifiedCount, webhookDeliveries: deliveries.length };
+}
+
+/**
+ * Latest record of the privacy audit chain, or null for an empty chain.
+ */
+async function getLastPrivacyAudit() {
+  return PrivacyAudit.findOne().sort({ seq: -1 }).lean();
+}
+
+/**
+ * Append a record to the privacy audit chain. The unique seq index rejects
+ * concurrent appends that were built on the same predecessor.
+ */
+async function insertPrivacyAudit(record) {
+  const audit = new PrivacyAudit(record);
+  return audit.save();
+}
+
+/**
+ * All audit records in chain order.
+ */
+async function listPrivacyAudits() {
+  return PrivacyAudit.find().sort({ seq: 1 }).lean();
+}
+
+/**
+ * Page through waitlist entries for the admin console.
+ */
+async function listWaitlistEntries({ page, limit, q, sort, dir }) {
+  return listPage(Waitlist, {
+    page, limit, q, sort, dir,
+    searchFields: ['name', 'email', 'referralCode'],
+    select: '-verificationTokenHash -statusTokenHash -__v'
+  });
+}
+
+/**
+ * Page through contact submissions for the admin console.
+ */
+async function listContactEntries({ page, limit, q, sort, dir }) {
+  return listPage(Contact, {
+    page, limit, q, sort, dir,
+    searchFields: ['name', 'email', 'subject', 'message'],
+    select: '-notes -replies -__v'
+  });
+}
+
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lt = to;
+  return Object.keys(range).length ? range : undefined;
+}
+
+/**
+ * Cursor over waitlist entries for bulk export, oldest first.
+ * Filters: from/to (joinedAt, Date), verified (boolean).
+ */
+function streamWaitlistEntries({ from, to, verified } = {}) {
+  const filter = {};
+  const joinedAt = dateRange(from, to);
+  if (joinedAt) filter.joinedAt = joinedAt;
+  if (verified === true) Object.assign(filter, CONFIRMED);
+  if (verified === false) filter.status = 'pending';
+  return Waitlist.find(filter)
+    .sort({ joinedAt: 1 })
+    .select('name email status joinedAt confirmedAt referralCode referralCount referredBy')
+    .lean()
+    .cursor({ batchSize: 500 });
+}
+
+/**
+ * Cursor over contact submissions for bulk export, oldest first.
+ * Filters: from/to (createdAt, Date), subject, status.
+ */
+function streamContactEntries({ from, to, subject, status } = {}) {
+  const filter = {};
+  const createdAt = dateRange(from, to);
+  if (createdAt) filter.createdAt = createdAt;
+  if (subject) filter.subject = subject;
+  if (status) filter.status = status;
+  return Contact.find(filter)
+    .sort({ createdAt: 1 })
+    .select('name email subject message status assignedTo replies.sentAt createdAt')
+    .lean()
+    .cursor({ batchSize: 500 });
+}
+
+/**
+ * Find a contact submission by id (null for unknown or malformed ids).
+ */
+async function findContactById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Contact.findById(id).populate('assignedTo', 'username').lean();
+}
+
+/**
+ * Move a contact from one status to another. Returns null if the contact
+ * is not (or no longer) in the expected `from` status.
+ */
+async function updateContactStatus(id, from, to) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Contact.findOneAndUpdate({ _id: id, status: from }, { $set: { status: to } }, { new: true });
+}
+
+/**
+ * Assign a contact to an operator, or unassign it with a null adminId.
+ */
+async function setContactAssignee(id, adminId) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const update = adminId ? { $set: { assignedTo: adminId } } : { $unset: { assignedTo: 1 } };
+  return Contact.findByIdAndUpdate(id, update, { new: true });
+}
+
+/**
+ * Append an internal note to a contact.
+ */
+async function addContactNote(id, { author, body }) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Contact.findByIdAndUpdate(
+    id,
+    { $push: { notes: { author, body, createdAt: new Date() } } },
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Append a sent reply to a contact's thread and mark it replied.
+ */
+async function addContactReply(id, { author, to, subject, body, messageId }) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Contact.findByIdAndUpdate(
+    id,
+    {
+      $push: { replies: { author, to, subject, body, messageId, sentAt: new Date() } },
+      $set: { status: 'replied' }
+    },
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Insert an operator account (password must already be hashed).
+ */
+async function insertAdminUser({ username, passwordHash }) {
+  const admin = new AdminUser({ username, passwordHash });
+  return admin.save();
+}
+
+async function findAdminByUsername(username) {
+  return AdminUser.findOne({ username: (username || '').toLowerCase().trim() });
+}
+
+async function findAdminById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return AdminUser.findById(id);
+}
+
+async function countAdminUsers() {
+  return AdminUser.countDocuments();
+}
+
+async function listAdminUsers() {
+  return AdminUser.find().select('-passwordHash -__v').sort({ username: 1 }).lean();
+}
+
+async function recordAdminLogin(id) {
+  return AdminUser.updateOne({ _id: id }, { $set: { lastLoginAt: new Date() } });
+}
+
+/**
+ * Sessions live in the same database, sharing the Mongoose connection once it is open.
+ */
+function createSessionStore() {
+  return MongoStore.create({
+    clientPromise: mongoose.connection.asPromise().then(connection => connection.getClient()),
+    touchAfter: 24 * 3600
+  });
+}
+
+/**
+ * Reputation of an E.164 number, or null when nothing is known about it.
+ */
+async function findNumberReputation(number) {
+  return NumberReputation.findOne({ number }).select('-__v').lean();
+}
+
+/**
+ * Create or update the reputation of an E.164 number.
+ */
+async function saveNumberReputation(number, { score, category, reportCount, reportsByCategory, lastReportedAt }) {
+  return NumberReputation.findOneAndUpdate(
+    { number },
+    { $set: { score, category, reportCount, reportsByCategory, lastReportedAt } },
+    { new: true, upsert: true, runValidators: true }
+  ).select('-__v').lean();
+}
+
+async function insertSpamReport({ number, category, reporter, weight, ipAddress, expiresAt }) {
+  const report = new SpamReport({ number, category, reporter, weight, ipAddress, expiresAt });
+  return (await report.save()).toObject({ versionKey: false });
+}
+
+/**
+ * Count reports about a number from one reporter or one IP within the last sinceMs milliseconds.
+ */
+async function countRecentReports({ number, reporter, ipAddress }, sinceMs = 24 * 60 * 60 * 1000) {
+  return SpamReport.countDocuments({
+    number,
+    ...(reporter ? { reporter } : {}),
+    ...(ipAddress ? { ipAddress } : {}),
+    createdAt: { $gte: new Date(Date.now() - sinceMs) }
+  });
+}
+
+/**
+ * Unexpired reports about a number, newest first.
+ */
+async function findReportsForNumber(number, { limit = 1000 } = {}) {
+  return SpamReport.find({ number, expiresAt: { $gt: new Date() } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('category reporter weight createdAt')
+    .lean();
+}
+
+/**
+ * How many unexpired reports a reporter has made, and when their first one was.
+ */
+async function getReporterStats(reporter) {
+  const [stats] = await SpamReport.aggregate([
+    { $match: { reporter, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, total: { $sum: 1 }, firstReportedAt: { $min: '$createdAt' } } }
+  ]);
+  return stats ? { total: stats.total, firstReportedAt: stats.firstReportedAt } : { total: 0, firstReportedAt: null };
+}
+
+// TTL deletion runs about once a minute, so expired entries are also filtered on read
+function activeBlocklist(owner) {
+  return {
+    owner,
+    $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+}
+
+/**
+ * Page through a user's blocklist, newest first.
+ * Filters: q (pattern starts with / label contains), source.
+ */
+async function listBlocklistEntries(owner, { page, limit, q, source }) {
+  const filter = activeBlocklist(owner);
+  if (q) {
+    filter.$and = [{ $or: [
+      { pattern: { $regex: `^${escapeRegex(q)}` } },
+      { label: { $regex: escapeRegex(q), $options: 'i' } }
+    ] }];
+  }
+  if (source) filter.source = source;
+  const [items, total] = await Promise.all([
+    BlocklistEntry.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v')
+      .lean(),
+    BlocklistEntry.countDocuments(filter)
+  ]);
+  return { items, total };
+}
+
+/**
+ * Every active entry of a user, oldest first (for export).
+ */
+async function findAllBlocklistEntries(owner) {
+  return BlocklistEntry.find(activeBlocklist(owner)).sort({ createdAt: 1, _id: 1 }).select('-__v').lean();
+}
+
+async function countBlocklistEntries(owner) {
+  return BlocklistEntry.countDocuments(activeBlocklist(owner));
+}
+
+async function findBlocklistEntry(owner, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return BlocklistEntry.findOne({ ...activeBlocklist(owner), _id: id }).select('-__v').lean();
+}
+
+/**
+ * The user's entry blocking an E.164 number, exact matches before the longest prefix.
+ */
+async function findBlocklistMatch(owner, number) {
+  const prefixes = [];
+  for (let i = 2; i <= number.length; i++) prefixes.push(number.slice(0, i));
+  const matches = await BlocklistEntry.find({
+    ...activeBlocklist(owner),
+    $and: [{ $or: [{ type: 'exact', pattern: number }, { type: 'prefix', pattern: { $in: prefixes } }] }]
+  }).lean();
+  return matches.sort((a, b) => (a.type === 'exact' ? -1 : 0) - (b.type === 'exact' ? -1 : 0) || b.pattern.length - a.pattern.length)[0] || null;
+}
+
+async function insertBlocklistEntry({ owner, pattern, type, label, expiresAt, source }) {
+  const entry = new BlocklistEntry({ owner, pattern, type, label, expiresAt, source });
+  return (await entry.save()).toObject({ versionKey: false });
+}
+
+/**
+ * Change label, expiresAt and/or source of an entry; null values unset them.
+ */
+async function updateBlocklistEntry(owner, id, changes) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const $set = {};
+  const $unset = {};
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined) continue;
+    if (value === null) $unset[field] = 1;
+    else $set[field] = value;
+  }
+  return BlocklistEntry.findOneAndUpdate(
+    { ...activeBlocklist(owner), _id: id },
+    { $set, $unset },
+    { new: true, runValidators: true }
+  ).select('-__v').lean();
+}
+
+async function deleteBlocklistEntry(owner, id) {
+  if (!mongoose.isValidObjectId(id)) return false;
+  const result = await BlocklistEntry.deleteOne({ owner, _id: id });
+  return result.deletedCount > 0;
+}
+
+async function deleteAllBlocklistEntries(owner) {
+  const result = await BlocklistEntry.deleteMany({ owner });
+  return result.deletedCount;
+}
+
+/**
+ * Insert or update many entries at once, matched on (type, pattern).
+ */
+async function upsertBlocklistEntries(owner, entries) {
+  if (!entries.length) return { inserted: 0, updated: 0 };
+  const result = await BlocklistEntry.bulkWrite(entries.map(({ pattern, type, label, expiresAt, source }) => ({
+    updateOne: {
+      filter: { owner, type, pattern },
+      update: {
+        $set: { label, expiresAt, source },
+        $setOnInsert: { owner, type, pattern }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+  return { inserted: result.upsertedCount, updated: result.matchedCount };
+}
+
+async function insertApiKey({ name, owner, prefix, keyHash, scopes, plan, createdBy, rotatedFrom }) {
+  const apiKey = new ApiKey({ name, owner, prefix, keyHash, scopes, plan, createdBy, rotatedFrom });
+  return (await apiKey.save()).toObject({ versionKey: false });
+}
+
+async function findApiKeyByHash(keyHash) {
+  return ApiKey.findOne({ keyHash }).lean();
+}
+
+async function findApiKeyById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ApiKey.findById(id).lean();
+}
+
+/**
+ * All keys, newest first, optionally for one owner (never includes hashes).
+ */
+async function listApiKeys({ owner } = {}) {
+  return ApiKey.find(owner ? { owner } : {}).sort({ createdAt: -1 }).select('-keyHash -__v').lean();
+}
+
+/**
+ * Revoke a key now. Returns null if it is unknown or already revoked.
+ */
+async function revokeApiKeyById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).select('-keyHash -__v').lean();
+}
+
+/**
+ * Make a still-active key expire at `expiresAt` (sooner only, never later).
+ */
+async function expireApiKey(id, expiresAt) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return ApiKey.findOneAndUpdate(
+    {
+      _id: id,
+      revokedAt: { $exists: false },
+      $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: expiresAt } }]
+    },
+    { $set: { expiresAt } },
+    { new: true }
+  ).select('-keyHash -__v').lean();
+}
+
+async function touchApiKey(id, lastUsedAt = new Date()) {
+  return ApiKey.updateOne({ _id: id }, { $set: { lastUsedAt } });
+}
+
+/**
+ * Add `by` (default 1) to the counters of `key` for { endpoint, client }
+ * (each "*" when not given, so the totals by default) in each of `periods`
+ * ([{ period, start, expiresAt }]), atomically. Resolves to the updated
+ * counters as [{ period, start, count }].
+ */
+async function incrementUsage(key, { endpoint = '*', client = '*' }, periods, by = 1) {
+  return Promise.all(periods.map(async ({ period, start, expiresAt }) => {
+    const increment = () => UsageCounter.findOneAndUpdate(
+      { key, period, start, endpoint, client },
+      { $inc: { count: by }, $setOnInsert: { expiresAt } },
+      { upsert: true, new: true }
+    ).select('-_id period start count').lean();
+    try {
+      return await increment();
+    } catch (err) {
+      // Another request created the counter first
+      if (err.code !== 11000) throw err;
+      return increment();
+    }
+  }));
+}
+
+/**
+ * Counters of `key` for the given [{ period, start }], optionally only
+ * those of one endpoint or client ("*" for the totals).
+ */
+async function findUsageCounters(key, periods, { endpoint, client } = {}) {
+  if (!periods.length) return [];
+  return UsageCounter.find({
+    key,
+    $or: periods.map(({ period, start }) => ({ period, start })),
+    ...(endpoint ? { endpoint } : {}),
+    ...(client ? { client } : {})
+  }).select('-_id -__v -expiresAt').lean();
+}
+
+/**
+ * Count a hit against `key` in one atomic update: added to the current
+ * window, or starting a new one of `windowMs` once it has ended (the TTL
+ * monitor only removes expired counters about once a minute). Resolves to
+ * { count, expiresAt }.
+ */
+async function incrementRateLimit(key, windowMs) {
+  const now = new Date();
+  const live = { $gt: ['$expiresAt', now] };
+  const increment = () => RateLimitCounter.findOneAndUpdate({ key }, [{
+    $set: {
+      count: { $cond: [live, { $add: ['$count', 1] }, 1] },
+      expiresAt: { $cond: [live, '$expiresAt', new Date(now.getTime() + windowMs)] }
+    }
+  }], { upsert: true, new: true }).select('-_id count expiresAt').lean();
+  try {
+    return await increment();
+  } catch (err) {
+    // Another request created the counter first
+    if (err.code !== 11000) throw err;
+    return increment();
+  }
+}
+
+async function decrementRateLimit(key) {
+  await RateLimitCounter.updateOne({ key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } }, { $inc: { count: -1 } });
+}
+
+async function resetRateLimit(key) {
+  await RateLimitCounter.deleteOne({ key });
+}
+
+/**
+ * The live counter of `key` as { count, expiresAt }, or null.
+ */
+async function findRateLimit(key) {
+  return RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } }).select('-_id count expiresAt').lean();
+}
+
+/**
+ * Store call events, skipping any whose eventId the owner already uploaded
+ * (in any month). The ids are claimed in CallEventId first; ids claimed for
+ * events that then fail to store are given back. Resolves to
+ * { inserted, duplicates }.
+ */
+async function insertCallEvents(owner, events) {
+  const docs = events.map(event => ({ ...event, owner, partition: callPartition(event.startedAt) }));
+  const duplicate = new Set();
+  await CallEventId.init();
+  try {
+    await CallEventId.insertMany(
+      docs.map(({ eventId, partition, expiresAt }) => ({ owner, eventId, partition, expiresAt })),
+      { ordered: false }
+    );
+  } catch (err) {
+    const writeErrors = err.writeErrors || [];
+    if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) throw err;
+    writeErrors.forEach(writeError => duplicate.add(writeError.index));
+  }
+
+  const byPartition = new Map();
+  docs.forEach(({ partition, ...event }, index) => {
+    if (duplicate.has(index)) return;
+    if (!byPartition.has(partition)) byPartition.set(partition, []);
+    byPartition.get(partition).push(event);
+  });
+
+  let inserted = 0;
+  let duplicates = duplicate.size;
+  const partitions = [...byPartition.keys()];
+  for (const [i, partition] of partitions.entries()) {
+    const partitionDocs = byPartition.get(partition);
+    const CallEvent = callEventModel(partition);
+    try {
+      await CallEvent.init();
+      await CallEvent.insertMany(partitionDocs, { ordered: false });
+      inserted += partitionDocs.length;
+    } catch (err) {
+      // Already in the month's own collection: stored by an earlier attempt
+      // whose ids were given back
+      const writeErrors = err.writeErrors || [];
+      if (!writeErrors.length || writeErrors.some(writeError => writeError.code !== 11000)) {
+        const unstored = partitions.slice(i).flatMap(name => byPartition.get(name));
+        await CallEventId.deleteMany({ owner, eventId: { $in: unstored.map(event => event.eventId) } });
+        throw err;
+      }
+      inserted += partitionDocs.length - writeErrors.length;
+      duplicates += writeErrors.length;
+    }
+    if (partitionCache) partitionCache.names.add(partition);
+  }
+  return { inserted, duplicates };
+}
+
+/**
+ * A device's events, newest first, starting after `before` ({ startedAt, id }
+ * of the last event of the previous page). Walks back through the monthly
+ * collections until `limit` events are found.
+ */
+async function listCallEvents(owner, deviceId, { limit, before }) {
+  const partitions = await callPartitions();
+
+  const items = [];
+  for (const partition of partitions) {
+    if (before && partition > callPartition(before.startedAt)) continue;
+    const filter = { owner, deviceId };
+    if (before) {
+      if (!mongoose.isValidObjectId(before.id)) return items;
+      filter.$or = [
+        { startedAt: { $lt: before.startedAt } },
+        { startedAt: before.startedAt, _id: { $lt: before.id } }
+      ];
+    }
+    const docs = await callEventModel(partition).find(filter)
+      .sort({ startedAt: -1, _id: -1 })
+      .limit(limit - items.length)
+      .select('-__v')
+      .lean();
+    items.push(...docs);
+    if (items.length >= limit) break;
+  }
+  return items;
+}
+
+async function findLatestKnownSpamVersion() {
+  const latest = await KnownSpamNumber.findOne().sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+}
+
+/**
+ * Add a number to the known-spam list (or change or restore it) at `version`.
+ * The unique version index rejects a version another change already took.
+ */
+async function saveKnownSpamNumber(number, { category, label, addedBy, version }) {
+  return KnownSpamNumber.findOneAndUpdate(
+    { number },
+    { $set: { category, label, addedBy, version, removedAt: null } },
+    { new: true, upsert: true, runValidators: true }
+  ).select('-__v').lean();
+}
+
+/**
+ * Mark a listed number as removed at `version`. Returns null if it is not listed.
+ */
+async function removeKnownSpamNumber(number, { version }) {
+  return KnownSpamNumber.findOneAndUpdate(
+    { number, removedAt: null },
+    { $set: { version, removedAt: new Date() } },
+    { new: true }
+  ).select('-__v').lean();
+}
+
+/**
+ * Page through listed (not removed) numbers for the admin console.
+ */
+async function listKnownSpamNumbers({ page, limit, q, sort, dir }) {
+  return listPage(KnownSpamNumber, {
+    page, limit, q, sort, dir,
+    searchFields: ['number', 'label', 'category'],
+    select: '-__v',
+    where: { removedAt: null }
+  });
+}
+
+async function findKnownSpamNumber(number) {
+  return KnownSpamNumber.findOne({ number, removedAt: null }).select('-__v').lean();
+}
+
+async function findAllKnownSpamNumbers() {
+  return KnownSpamNumber.find({ removedAt: null }).select('number category').lean();
+}
+
+/**
+ * Numbers added, changed or removed after `version`, removals included.
+ */
+async function findKnownSpamChanges(version) {
+  return KnownSpamNumber.find({ version: { $gt: version } }).select('number category removedAt version').lean();
+}
+
+async function countKnownSpamChanges(version) {
+  return KnownSpamNumber.countDocuments({ version: { $gt: version } });
+}
+
+async function insertWebhookSubscription({ url, events, secret, description, createdBy }) {
+  const subscription = new WebhookSubscription({ url, events, secret, description, createdBy });
+  return (await subscription.save()).toObject({ versionKey: false });
+}
+
+async function listWebhookSubscriptions() {
+  return WebhookSubscription.find().sort({ createdAt: -1 }).select('-__v').lean();
+}
+
+async function findWebhookSubscription(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookSubscription.findById(id).select('-__v').lean();
+}
+
+/**
+ * Active subscriptions that want `event`.
+ */
+async function findWebhookSubscriptionsForEvent(event) {
+  return WebhookSubscription.find({ active: true, events: { $in: [event, '*'] } }).select('-__v').lean();
+}
+
+async function setWebhookSubscriptionActive(id, active) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookSubscription.findByIdAndUpdate(id, { $set: { active } }, { new: true }).select('-__v').lean();
+}
+
+async function deleteWebhookSubscription(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookSubscription.findByIdAndDelete(id).select('-__v').lean();
+}
+
+async function insertWebhookDeliveries(deliveries) {
+  if (!deliveries.length) return [];
+  return (await WebhookDelivery.insertMany(deliveries)).map(doc => doc.toObject({ versionKey: false }));
+}
+
+/**
+ * Take the pending delivery that has been due longest, hiding it from other
+ * workers until `leaseUntil` in case this one dies mid-attempt.
+ */
+async function claimWebhookDelivery(now, leaseUntil) {
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: leaseUntil } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).select('-__v').lean();
+}
+
+async function updateWebhookDelivery(id, changes) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookDelivery.findByIdAndUpdate(id, { $set: changes }, { new: true }).select('-__v').lean();
+}
+
+async function findWebhookDelivery(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return WebhookDelivery.findById(id).select('-__v').lean();
+}
+
+/**
+ * Page through the delivery log for the admin console.
+ */
+async function listWebhookDeliveries({ page, limit, q, sort, dir }) {
+  return listPage(WebhookDelivery, {
+    page, limit, q, sort, dir,
+    searchFields: ['event', 'url', 'status', 'eventId'],
+    select: '-__v -payload'
+  });
+}
+
+/**
+ * Record that the waitlist reached `threshold` percent of capacity. Resolves
+ * to true only for the call that recorded it, so concurrent confirmations
+ * crossing the same threshold emit it once.
+ */
+async function recordCapacityThreshold(threshold, { count, capacity }) {
+  try {
+    await CapacityThreshold.create({ threshold, count, capacity });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return false;
+  }
+}
+
+/**
+ * Claim migration `name` for this process. Resolves to false when it was
+ * claimed before (by any instance), so it is never run twice.
+ */
+async function claimMigration(name) {
+  try {
+    await Migration.create({ name });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return false;
+  }
+}
+
+async function completeMigration(name) {
+  await Migration.updateOne({ name }, { $set: { completedAt: new Date() } });
+}
+
+/**
+ * Pass the names and messages people submitted through `transform`,
+ * rewriting those it changes. Resolves to { waitlist, contacts }, the
+ * number of documents rewritten in each.
+ */
+async function rewriteSubmittedText(transform) {
+  const rewrite = async (Model, fields) => {
+    const operations = [];
+    const cursor = Model.find({ $or: fields.map(field => ({ [field]: /&/ })) }).select(fields.join(' ')).lean().cursor();
+    for await (const doc of cursor) {
+      const changes = {};
+      for (const field of fields) {
+        const value = transform(doc[field]);
+        if (value !== doc[field]) changes[field] = value;
+      }
+      if (Object.keys(changes).length) {
+        operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+      }
+    }
+    if (operations.length) await Model.bulkWrite(operations, { ordered: false });
+    return operations.length;
+  };
+  return {
+    waitlist: await rewrite(Waitlist, ['name']),
+    contacts: await rewrite(Contact, ['name', 'message'])
+  };
+}
+
+module.exports = {
+  connectDB,
+  closeDB,
+  getDBStatus,
+  pingDB,
+  createSessionStore,
+  insertWaitlistEntry,
+  refreshVerificationToken,
+  confirmByVerificationToken,
+  countWaitlist,
+  getQueuePosition,
+  findByReferralCode,
+  assignReferralCode,
+  creditReferral,
+  countRecentByIP,
+  findByEmail,
+  setStatusToken,
+  findByStatusToken,
+  getStats,
+  insertContactEntry,
+  countContactsByIP,
+  insertPrivacyRequest,
+  findPrivacyRequestByToken,
+  claimPrivacyRequest,
+  findPersonalData,
+  erasePersonalData,
+  getLastPrivacyAudit,
+  insertPrivacyAudit,
+  listPrivacyAudits,
+  listWaitlistEntries,
+  listContactEntries,
+  streamWaitlistEntries,
+  streamContactEntries,
+  findContactById,
+  updateContactStatus,
+  setContactAssignee,
+  addContactNote,
+  addContactReply,
+  insertAdminUser,
+  findAdminByUsername,
+  findAdminById,
+  countAdminUsers,
+  listAdminUsers,
+  recordAdminLogin,
+  findNumberReputation,
+  saveNumberReputation,
+  insertSpamReport,
+  countRecentReports,
+  findReportsForNumber,
+  getReporterStats,
+  listBlocklistEntries,
+  findAllBlocklistEntries,
+  countBlocklistEntries,
+  findBlocklistEntry,
+  findBlocklistMatch,
+  insertBlocklistEntry,
+  updateBlocklistEntry,
+  deleteBlocklistEntry,
+  deleteAllBlocklistEntries,
+  upsertBlocklistEntries,
+  insertApiKey,
+  findApiKeyByHash,
+  findApiKeyById,
+  listApiKeys,
+  revokeApiKeyById,
+  expireApiKey,
+  touchApiKey,
+  incrementUsage,
+  findUsageCounters,
+  incrementRateLimit,
+  decrementRateLimit,
+  resetRateLimit,
+  findRateLimit,
+  insertCallEvents,
+  listCallEvents,
+  findLatestKnownSpamVersion,
+  saveKnownSpamNumber,
+  removeKnownSpamNumber,
+  listKnownSpamNumbers,
+  findKnownSpamNumber,
+  findAllKnownSpamNumbers,
+  findKnownSpamChanges,
+  countKnownSpamChanges,
+  insertWebhookSubscription,
+  listWebhookSubscriptions,
+  findWebhookSubscription,
+  findWebhookSubscriptionsForEvent,
+  setWebhookSubscriptionActive,
+  deleteWebhookSubscription,
+  insertWebhookDeliveries,
+  claimWebhookDelivery,
+  updateWebhookDelivery,
+  findWebhookDelivery,
+  listWebhookDeliveries,
+  recordCapacityThreshold,
+  claimMigration,
+  completeMigration,
+  rewriteSubmittedText
+};
\ No newline at end of file
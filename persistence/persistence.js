@@ -1,202 +1,165 @@
 // persistence/persistence.js
-// MongoDB connection + Mongoose Waitlist model + DB helpers
-
-const mongoose = require('mongoose');
-
-const WaitlistSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: [true, 'Name is required'],
-    trim: true,
-    minlength: [2, 'Name must be at least 2 characters'],
-    maxlength: [50, 'Name must be less than 50 characters']
-  },
-  email: {
-    type: String,
-    required: [true, 'Email is required'],
-    unique: true,
-    trim: true,
-    lowercase: true,
-    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email']
-  },
-  ipAddress: {
-    type: String,
-    required: true
-  },
-  userAgent: {
-    type: String,
-    required: true
-  },
-  joinedAt: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true
-});
-
-WaitlistSchema.index({ ipAddress: 1 });
-
-const Waitlist = mongoose.models.Waitlist || mongoose.model('Waitlist', WaitlistSchema);
-
-// Contact form schema
-const ContactSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: [true, 'Name is required'],
-    trim: true,
-    minlength: [2, 'Name must be at least 2 characters'],
-    maxlength: [50, 'Name must be less than 50 characters']
-  },
-  email: {
-    type: String,
-    required: [true, 'Email is required'],
-    trim: true,
-    lowercase: true,
-    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email']
-  },
-  subject: {
-    type: String,
-    required: [true, 'Subject is required'],
-    trim: true,
-    maxlength: [100, 'Subject must be less than 100 characters']
-  },
-  message: {
-    type: String,
-    required: [true, 'Message is required'],
-    trim: true,
-    minlength: [10, 'Message must be at least 10 characters'],
-    maxlength: [1000, 'Message must be less than 1000 characters']
-  },
-  ipAddress: {
-    type: String,
-    required: true
-  },
-  userAgent: {
-    type: String,
-    required: true
-  },
-  status: {
-    type: String,
-    enum: ['new', 'read', 'replied'],
-    default: 'new'
-  }
-}, {
-  timestamps: true
-});
-
-ContactSchema.index({ createdAt: -1 });
-ContactSchema.index({ status: 1 });
-
-const Contact = mongoose.models.Contact || mongoose.model('Contact', ContactSchema);
-
-/**
- * Connect to MongoDB using provided URI.
- */
-async function connectDB(uri) {
-  if (!uri) {
-    console.error('❌ MONGODB_URI not provided');
-    process.exit(1);
-  }
-  try {
-    console.log('🔄 Attempting to connect to MongoDB...');
-    await mongoose.connect(uri, {
-      serverSelectionTimeoutMS: 10000, // 10 second timeout
-      connectTimeoutMS: 10000,
-      maxPoolSize: 10,
-      retryWrites: true
-    });
-    console.log('✅ Connected to MongoDB successfully');
-    return true;
-  } catch (err) {
-    console.error('❌ MongoDB connection error:', err.message);
-    if (err.name === 'MongoServerSelectionError') {
-      console.error('💡 Check if MongoDB is running and URI is correct');
-    }
-    throw err; // Don't exit, let the caller handle it
-  }
-}
-
-/**
- * Insert a new waitlist entry.
- */
-async function insertWaitlistEntry({ name, email, ipAddress, userAgent }) {
-  const entry = new Waitlist({
-    name,
-    email,
-    ipAddress,
-    userAgent
-  });
-  return entry.save();
-}
-
-/**
- * Count total waitlist entries.
- */
-async function countWaitlist() {
-  return Waitlist.countDocuments();
+// Storage interface used by the business layer. The backend is picked from
+// PERSISTENCE_BACKEND on first use, unless one is injected with setBackend():
+//   mongo  - MongoDB via Mongoose (default; needs MONGODB_URI)
+//   memory - in-process only, lost on restart
+//   file   - in-process, saved to PERSISTENCE_FILE (default data/spamklr.json)
+
+const path = require('path');
+
+// Every backend must implement all of these, with the Mongo backend's semantics
+// (including err.code 11000 + keyPattern on unique-index violations).
+// Optionally, createSessionStore() returns an express-session store.
+const OPERATIONS = [
+  'connectDB',
+  'closeDB',
+  'getDBStatus',
+  'pingDB',
+  'insertWaitlistEntry',
+  'refreshVerificationToken',
+  'confirmByVerificationToken',
+  'countWaitlist',
+  'getQueuePosition',
+  'findByReferralCode',
+  'assignReferralCode',
+  'creditReferral',
+  'countRecentByIP',
+  'findByEmail',
+  'setStatusToken',
+  'findByStatusToken',
+  'getStats',
+  'insertContactEntry',
+  'countContactsByIP',
+  'insertPrivacyRequest',
+  'findPrivacyRequestByToken',
+  'claimPrivacyRequest',
+  'findPersonalData',
+  'erasePersonalData',
+  'getLastPrivacyAudit',
+  'insertPrivacyAudit',
+  'listPrivacyAudits',
+  'listWaitlistEntries',
+  'listContactEntries',
+  'streamWaitlistEntries',
+  'streamContactEntries',
+  'findContactById',
+  'updateContactStatus',
+  'setContactAssignee',
+  'addContactNote',
+  'addContactReply',
+  'insertAdminUser',
+  'findAdminByUsername',
+  'findAdminById',
+  'countAdminUsers',
+  'listAdminUsers',
+  'recordAdminLogin',
+  'findNumberReputation',
+  'saveNumberReputation',
+  'insertSpamReport',
+  'countRecentReports',
+  'findReportsForNumber',
+  'getReporterStats',
+  'listBlocklistEntries',
+  'findAllBlocklistEntries',
+  'countBlocklistEntries',
+  'findBlocklistEntry',
+  'findBlocklistMatch',
+  'insertBlocklistEntry',
+  'updateBlocklistEntry',
+  'deleteBlocklistEntry',
+  'deleteAllBlocklistEntries',
+  'upsertBlocklistEntries',
+  'insertApiKey',
+  'findApiKeyByHash',
+  'findApiKeyById',
+  'listApiKeys',
+  'revokeApiKeyById',
+  'expireApiKey',
+  'touchApiKey',
+  'incrementUsage',
+  'findUsageCounters',
+  'incrementRateLimit',
+  'decrementRateLimit',
+  'resetRateLimit',
+  'findRateLimit',
+  'insertCallEvents',
+  'listCallEvents',
+  'findLatestKnownSpamVersion',
+  'saveKnownSpamNumber',
+  'removeKnownSpamNumber',
+  'listKnownSpamNumbers',
+  'findKnownSpamNumber',
+  'findAllKnownSpamNumbers',
+  'findKnownSpamChanges',
+  'countKnownSpamChanges',
+  'insertWebhookSubscription',
+  'listWebhookSubscriptions',
+  'findWebhookSubscription',
+  'findWebhookSubscriptionsForEvent',
+  'setWebhookSubscriptionActive',
+  'deleteWebhookSubscription',
+  'insertWebhookDeliveries',
+  'claimWebhookDelivery',
+  'updateWebhookDelivery',
+  'findWebhookDelivery',
+  'listWebhookDeliveries',
+  'recordCapacityThreshold',
+  'claimMigration',
+  'completeMigration',
+  'rewriteSubmittedText'
+];
+
+const BACKENDS = {
+  mongo: () => require('./mongo'),
+  memory: () => require('./memory').createMemoryStore(),
+  file: () => require('./memory').createMemoryStore({
+    file: path.resolve(process.env.PERSISTENCE_FILE || path.join(__dirname, '..', 'data', 'spamklr.json'))
+  })
+};
+
+const BACKEND = (process.env.PERSISTENCE_BACKEND || 'mongo').toLowerCase();
+
+if (!BACKENDS[BACKEND]) {
+  throw new Error(`Unknown PERSISTENCE_BACKEND "${BACKEND}" (expected ${Object.keys(BACKENDS).join(', ')})`);
 }
 
-/**
- * Count entries from a specific IP within the last sinceMs milliseconds.
- */
-async function countRecentByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
-  return Waitlist.countDocuments({
-    ipAddress,
-    joinedAt: { $gte: new Date(Date.now() - sinceMs) }
-  });
+function assertBackend(candidate, label) {
+  const missing = OPERATIONS.filter(name => !candidate || typeof candidate[name] !== 'function');
+  if (missing.length) {
+    throw new Error(`Persistence backend "${label}" is missing: ${missing.join(', ')}`);
+  }
+  return candidate;
 }
 
-/**
- * Find an entry by email.
- */
-async function findByEmail(email) {
-  return Waitlist.findOne({ email: (email || '').toLowerCase().trim() });
-}
+let backend = null;
 
-/**
- * Get basic stats: total & recent (24h)
- */
-async function getStats() {
-  const total = await Waitlist.countDocuments();
-  const recent = await Waitlist.countDocuments({
-    joinedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-  });
-  return { total, recent };
+function getBackend() {
+  if (!backend) backend = assertBackend(BACKENDS[BACKEND](), BACKEND);
+  return backend;
 }
 
 /**
- * Insert a new contact form entry.
+ * Replace the active backend (e.g. an isolated memory store per test).
  */
-async function insertContactEntry({ name, email, subject, message, ipAddress, userAgent }) {
-  const entry = new Contact({
-    name,
-    email,
-    subject,
-    message,
-    ipAddress,
-    userAgent
-  });
-  return entry.save();
+function setBackend(next) {
+  backend = assertBackend(next, 'custom');
 }
 
 /**
- * Count contact entries from a specific IP within the last sinceMs milliseconds.
+ * Session store kept alongside the data, or undefined for express-session's
+ * built-in memory store.
  */
-async function countContactsByIP(ipAddress, sinceMs = 24 * 60 * 60 * 1000) {
-  return Contact.countDocuments({
-    ipAddress,
-    createdAt: { $gte: new Date(Date.now() - sinceMs) }
-  });
+function createSessionStore() {
+  const current = getBackend();
+  return typeof current.createSessionStore === 'function' ? current.createSessionStore() : undefined;
 }
 
 module.exports = {
-  connectDB,
-  insertWaitlistEntry,
-  countWaitlist,
-  countRecentByIP,
-  findByEmail,
-  getStats,
-  insertContactEntry,
-  countContactsByIP
-};
\ No newline at end of file
+  BACKEND,
+  OPERATIONS,
+  getBackend,
+  setBackend,
+  createSessionStore,
+  // Resolved per call, so a backend set later is picked up by modules that imported these
+  ...Object.fromEntries(OPERATIONS.map(name => [name, (...args) => getBackend()[name](...args)]))
+};
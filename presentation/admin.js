@@ -0,0 +1,535 @@
+// presentation/admin.js
+// /admin console: operator login/logout, browsing of waitlist & contact data,
+// contact inbox triage (HTML forms plus a JSON API under /admin/api), API
+// keys, the known-spam list and webhooks.
+
+const crypto = require('crypto');
+const { once } = require('events');
+const express = require('express');
+
+const { getWaitlistStats, CONTACT_SUBJECTS, BusinessError } = require('../business/business');
+const {
+  authenticateAdmin,
+  getAdmin,
+  createAdminUser,
+  listOperators,
+  browseEntries
+} = require('../business/admin');
+const {
+  STATUS_TRANSITIONS,
+  getContact,
+  changeContactStatus,
+  assignContact,
+  addInternalNote,
+  replyToContact
+} = require('../business/inbox');
+const { exportEntries, CONTACT_STATUSES } = require('../business/exports');
+const { API_SCOPES, API_PLANS, issueApiKey, listApiKeys, rotateApiKey, revokeApiKey } = require('../business/apikeys');
+const { logger } = require('../business/logger');
+const { KNOWN_SPAM_CATEGORIES, addKnownSpamNumbers, removeKnownSpam } = require('../business/knownspam');
+const {
+  WEBHOOK_EVENTS,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  changeWebhookSubscription,
+  replayWebhookDelivery
+} = require('../business/webhooks');
+const { getPrivacyAudit } = require('../business/privacy');
+const { createLimiters } = require('./ratelimit');
+
+const COLUMNS = {
+  waitlist: [
+    { field: 'name', label: 'Name' },
+    { field: 'email', label: 'Email' },
+    { field: 'status', label: 'Status' },
+    { field: 'referralCount', label: 'Referrals' },
+    { field: 'joinedAt', label: 'Joined' }
+  ],
+  contacts: [
+    { field: 'name', label: 'Name' },
+    { field: 'email', label: 'Email' },
+    { field: 'subject', label: 'Subject' },
+    { field: 'status', label: 'Status' },
+    { field: 'createdAt', label: 'Received' }
+  ],
+  'known-spam': [
+    { field: 'number', label: 'Number' },
+    { field: 'category', label: 'Category' },
+    { field: 'label', label: 'Label' },
+    { field: 'version', label: 'Version' },
+    { field: 'updatedAt', label: 'Updated' }
+  ],
+  'webhook-deliveries': [
+    { field: 'event', label: 'Event' },
+    { field: 'url', label: 'URL' },
+    { field: 'status', label: 'Status' },
+    { field: 'attempts', label: 'Attempts' },
+    { field: 'createdAt', label: 'Created' }
+  ]
+};
+
+function isApiRequest(req) {
+  return req.path.startsWith('/api/');
+}
+
+async function requireAdmin(req, res, next) {
+  try {
+    const admin = await getAdmin(req.session.adminId);
+    if (!admin) {
+      if (isApiRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Please sign in' });
+      }
+      return res.redirect(`/admin/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    req.admin = admin;
+    res.locals.admin = admin;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Only allow redirects back into the admin area after login
+function safeNext(next) {
+  return typeof next === 'string' && /^\/admin(\/|$|\?)/.test(next) ? next : '/admin';
+}
+
+/**
+ * Listing page with sortable column headers and prev/next paging.
+ */
+function renderListing(collection) {
+  return async (req, res, next) => {
+    try {
+      const result = await browseEntries(collection, req.query);
+      const link = overrides => {
+        const params = new URLSearchParams({
+          q: result.q,
+          sort: result.sort,
+          dir: result.dir,
+          limit: String(result.limit),
+          page: String(result.page),
+          ...overrides
+        });
+        return `/admin/${collection}?${params}`;
+      };
+      const columns = COLUMNS[collection].map(col => {
+        const active = col.field === result.sort;
+        return {
+          ...col,
+          active,
+          dir: result.dir,
+          url: link({ sort: col.field, dir: active && result.dir === 'desc' ? 'asc' : 'desc', page: '1' })
+        };
+      });
+      res.render(`admin/${collection}`, {
+        ...result,
+        columns,
+        prevUrl: result.page > 1 ? link({ page: String(result.page - 1) }) : null,
+        nextUrl: result.page < result.pages ? link({ page: String(result.page + 1) }) : null
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+// Contact inbox triage
+const INBOX_ERROR_STATUS = {
+  CONTACT_NOT_FOUND: 404,
+  INVALID_STATUS_TRANSITION: 409,
+  CONFLICT: 409,
+  INVALID_ASSIGNEE: 400,
+  INVALID_NOTE: 400,
+  INVALID_REPLY: 400
+};
+
+async function renderContact(req, res, contact, { status = 200, error } = {}) {
+  const assigneeId = contact.assignedTo ? String(contact.assignedTo._id) : '';
+  const operators = (await listOperators()).map(op => ({ ...op, selected: String(op._id) === assigneeId }));
+  res.status(status).render('admin/contact', {
+    contact,
+    nextStatuses: STATUS_TRANSITIONS[contact.status] || [],
+    operators,
+    error
+  });
+}
+
+/**
+ * API keys page. `issued` is a freshly created secret, shown this once.
+ */
+async function renderApiKeys(res, { status = 200, issued, error } = {}) {
+  res.status(status).render('admin/api-keys', {
+    apiKeys: (await listApiKeys()).map(key => ({ ...key, usable: key.status === 'active' || key.status === 'expiring' })),
+    scopes: API_SCOPES,
+    plans: API_PLANS,
+    issued,
+    error
+  });
+}
+
+/**
+ * Webhooks page. `created` holds a new subscription's signing secret, shown this once.
+ */
+async function renderWebhooks(res, { status = 200, created, error } = {}) {
+  res.status(status).render('admin/webhooks', {
+    subscriptions: await listWebhookSubscriptions(),
+    events: Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description })),
+    created,
+    error
+  });
+}
+
+const WEBHOOK_ACTIONS = ['enable', 'disable', 'delete'];
+
+const API_KEY_ACTIONS = {
+  rotate: req => rotateApiKey(req.params.id, { createdBy: req.admin.username }),
+  revoke: req => revokeApiKey(req.params.id)
+};
+
+const CONTACT_ACTIONS = {
+  status: req => changeContactStatus(req.params.id, req.body.status),
+  assignee: req => assignContact(req.params.id, req.body.assigneeId),
+  notes: req => addInternalNote(req.params.id, req.admin, req.body.body),
+  replies: req => replyToContact(req.params.id, req.admin, { subject: req.body.subject, body: req.body.body })
+};
+
+/**
+ * Build the /admin router. Each call gets its own login rate limiter, though
+ * with the shared store they all count against the same attempts.
+ */
+function createAdminRouter(config) {
+  const router = express.Router();
+
+  const loginLimiter = createLimiters(config)('adminLogin', {
+    message: {
+      error: "Too many login attempts, please try again later.",
+      retryAfter: "15 minutes"
+    }
+  });
+
+  // Admin pages use their own layout, are never cached, and carry a CSRF token
+  router.use((req, res, next) => {
+    res.locals.layout = 'admin';
+    res.set('Cache-Control', 'no-store');
+    if (!req.session.csrfToken) {
+      req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    res.locals.csrfToken = req.session.csrfToken;
+    next();
+  });
+
+  // Every state-changing request must echo the session's CSRF token,
+  // as a _csrf form field or (for the JSON API) an X-CSRF-Token header
+  router.use((req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    const expected = Buffer.from(req.session.csrfToken);
+    const actual = Buffer.from(String((req.body && req.body._csrf) || req.get('X-CSRF-Token') || ''));
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      if (isApiRequest(req)) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Missing or invalid CSRF token' });
+      }
+      return res.status(403).render('admin/login', { error: 'Your session expired. Please try again.' });
+    }
+    next();
+  });
+
+  router.get('/login', (req, res) => {
+    res.render('admin/login', { next: safeNext(req.query.next) });
+  });
+
+  router.post('/login', loginLimiter, async (req, res, next) => {
+    const { username, password } = req.body;
+    const redirectTo = safeNext(req.body.next);
+    try {
+      const admin = await authenticateAdmin({ username, password });
+      // New session id on login to prevent session fixation
+      req.session.regenerate(err => {
+        if (err) return next(err);
+        req.session.adminId = admin.id;
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+        res.redirect(redirectTo);
+      });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return res.status(401).render('admin/login', { error: err.message, next: redirectTo });
+      }
+      next(err);
+    }
+  });
+
+  router.post('/logout', (req, res, next) => {
+    req.session.destroy(err => {
+      if (err) return next(err);
+      res.redirect('/admin/login');
+    });
+  });
+
+  router.use(requireAdmin);
+
+  router.get('/', async (req, res, next) => {
+    try {
+      const stats = await getWaitlistStats();
+      const contacts = await browseEntries('contacts', { limit: 1 });
+      res.render('admin/dashboard', { stats, contactTotal: contacts.total });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/waitlist', renderListing('waitlist'));
+  router.get('/contacts', renderListing('contacts'));
+
+  // Known-spam list published to devices through /api/v1/sync/known-spam
+  const knownSpamListing = renderListing('known-spam');
+  router.use('/known-spam', (req, res, next) => {
+    res.locals.categories = KNOWN_SPAM_CATEGORIES;
+    next();
+  });
+  router.get('/known-spam', knownSpamListing);
+
+  router.post('/known-spam', async (req, res, next) => {
+    try {
+      res.locals.result = await addKnownSpamNumbers({
+        numbers: req.body.numbers,
+        category: req.body.category,
+        label: req.body.label,
+        addedBy: req.admin.username
+      });
+    } catch (err) {
+      if (!(err instanceof BusinessError)) return next(err);
+      res.status(400);
+      res.locals.error = err.message;
+    }
+    knownSpamListing(req, res, next);
+  });
+
+  router.post('/known-spam/remove', async (req, res, next) => {
+    try {
+      const removed = await removeKnownSpam(req.body.number);
+      res.locals.removed = removed.number;
+    } catch (err) {
+      if (!(err instanceof BusinessError)) return next(err);
+      res.status(404);
+      res.locals.error = err.message;
+    }
+    knownSpamListing(req, res, next);
+  });
+
+  router.get('/contacts/:id', async (req, res, next) => {
+    try {
+      await renderContact(req, res, await getContact(req.params.id));
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return res.status(404).render('admin/error', { message: err.message });
+      }
+      next(err);
+    }
+  });
+
+  router.get('/api/contacts/:id', async (req, res, next) => {
+    try {
+      res.json({ contact: await getContact(req.params.id) });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return res.status(INBOX_ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code });
+      }
+      next(err);
+    }
+  });
+
+  for (const [action, run] of Object.entries(CONTACT_ACTIONS)) {
+    // JSON API
+    router.post(`/api/contacts/:id/${action}`, async (req, res, next) => {
+      try {
+        res.json({ contact: await run(req) });
+      } catch (err) {
+        if (err instanceof BusinessError) {
+          return res.status(INBOX_ERROR_STATUS[err.code] || 400).json({ error: err.message, code: err.code });
+        }
+        next(err);
+      }
+    });
+
+    // HTML form on the contact page
+    router.post(`/contacts/:id/${action}`, async (req, res, next) => {
+      try {
+        await run(req);
+        res.redirect(`/admin/contacts/${req.params.id}`);
+      } catch (err) {
+        if (err instanceof BusinessError) {
+          if (err.code === 'CONTACT_NOT_FOUND') {
+            return res.status(404).render('admin/error', { message: err.message });
+          }
+          const contact = await getContact(req.params.id);
+          return renderContact(req, res, contact, { status: INBOX_ERROR_STATUS[err.code] || 400, error: err.message });
+        }
+        next(err);
+      }
+    });
+  }
+
+  // Bulk export (CSV / NDJSON), streamed straight from a database cursor
+  router.get('/export', (req, res) => {
+    res.render('admin/export', {
+      subjects: Object.entries(CONTACT_SUBJECTS).map(([value, label]) => ({ value, label })),
+      statuses: CONTACT_STATUSES
+    });
+  });
+
+  router.get('/export/:collection', async (req, res, next) => {
+    let result;
+    try {
+      result = exportEntries(req.params.collection, req.query.format || 'csv', req.query);
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return res.status(400).render('admin/error', { message: err.message });
+      }
+      return next(err);
+    }
+
+    res.attachment(result.filename);
+    res.type(result.contentType);
+    try {
+      for await (const chunk of result.lines) {
+        if (!res.write(chunk)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+        // Client went away: leaving the loop closes the cursor
+        if (res.destroyed) break;
+      }
+      res.end();
+    } catch (err) {
+      if (!res.headersSent) return next(err);
+      logger.error('Export failed mid-stream', { err });
+      res.destroy(err);
+    }
+  });
+
+  router.get('/operators', async (req, res, next) => {
+    try {
+      res.render('admin/operators', { operators: await listOperators() });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/operators', async (req, res, next) => {
+    try {
+      const created = await createAdminUser({ username: String(req.body.username || '').trim(), password: req.body.password });
+      res.render('admin/operators', { operators: await listOperators(), created: created.username });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return res.status(400).render('admin/operators', { operators: await listOperators(), error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Privacy audit chain, re-verified on every view
+  router.get('/privacy-audit', async (req, res, next) => {
+    try {
+      res.render('admin/privacy-audit', await getPrivacyAudit());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api-keys', async (req, res, next) => {
+    try {
+      await renderApiKeys(res);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api-keys', async (req, res, next) => {
+    try {
+      const { key, apiKey } = await issueApiKey({
+        name: req.body.name,
+        owner: req.body.owner,
+        scopes: req.body.scopes,
+        plan: req.body.plan,
+        createdBy: req.admin.username
+      });
+      await renderApiKeys(res, { issued: { key, name: apiKey.name } });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return renderApiKeys(res, { status: 400, error: err.message }).catch(next);
+      }
+      next(err);
+    }
+  });
+
+  router.get('/webhooks', async (req, res, next) => {
+    try {
+      await renderWebhooks(res);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/webhooks', async (req, res, next) => {
+    try {
+      const { subscription, secret } = await createWebhookSubscription({
+        url: req.body.url,
+        events: req.body.events,
+        description: req.body.description,
+        createdBy: req.admin.username
+      });
+      await renderWebhooks(res, { created: { url: subscription.url, secret } });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        return renderWebhooks(res, { status: 400, error: err.message }).catch(next);
+      }
+      next(err);
+    }
+  });
+
+  for (const action of WEBHOOK_ACTIONS) {
+    router.post(`/webhooks/:id/${action}`, async (req, res, next) => {
+      try {
+        await changeWebhookSubscription(req.params.id, action);
+        await renderWebhooks(res);
+      } catch (err) {
+        if (err instanceof BusinessError) {
+          return renderWebhooks(res, { status: 404, error: err.message }).catch(next);
+        }
+        next(err);
+      }
+    });
+  }
+
+  // Delivery log, newest first; any delivery can be sent again
+  const deliveriesListing = renderListing('webhook-deliveries');
+  router.get('/webhook-deliveries', deliveriesListing);
+
+  router.post('/webhook-deliveries/:id/replay', async (req, res, next) => {
+    try {
+      const replay = await replayWebhookDelivery(req.params.id);
+      res.locals.replayed = replay.event;
+    } catch (err) {
+      if (!(err instanceof BusinessError)) return next(err);
+      res.status(404);
+      res.locals.error = err.message;
+    }
+    deliveriesListing(req, res, next);
+  });
+
+  for (const [action, perform] of Object.entries(API_KEY_ACTIONS)) {
+    router.post(`/api-keys/:id/${action}`, async (req, res, next) => {
+      try {
+        const result = await perform(req);
+        await renderApiKeys(res, { issued: result.key ? { key: result.key, name: result.apiKey.name } : undefined });
+      } catch (err) {
+        if (err instanceof BusinessError) {
+          return renderApiKeys(res, { status: err.code === 'API_KEY_NOT_FOUND' ? 404 : 409, error: err.message }).catch(next);
+        }
+        next(err);
+      }
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,427 @@
+// presentation/api.js
+// Public JSON API under /api/v1, used by the Android client and partners.
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+
+const { BusinessError } = require('../business/errors');
+const { authenticateApiKey } = require('../business/apikeys');
+const { detectSpam } = require('../business/detection');
+const { REPORT_CATEGORIES, reportNumber, getReputation } = require('../business/reports');
+const { analyzeTranscript } = require('../business/transcripts');
+const { identifyLanguage } = require('../business/language');
+const { ingestCallEvents, listCallEvents, MAX_BATCH } = require('../business/calls');
+const { getKnownSpamSync, SYNC_FORMATS } = require('../business/knownspam');
+const { consumeQuota, recordUsage, getUsageReport } = require('../business/usage');
+const { logger } = require('../business/logger');
+const { countBusinessError, countRateLimited } = require('../business/metrics');
+const {
+  listBlocklist,
+  getBlocklistEntry,
+  addBlocklistEntry,
+  changeBlocklistEntry,
+  removeBlocklistEntry,
+  importBlocklist,
+  exportBlocklist
+} = require('../business/blocklist');
+
+// BusinessError code → HTTP status for every /api/v1 route
+const API_ERROR_STATUS = {
+  INVALID_NUMBER: 400,
+  INVALID_PATTERN: 400,
+  INVALID_LABEL: 400,
+  INVALID_EXPIRY: 400,
+  INVALID_SOURCE: 400,
+  INVALID_IMPORT: 400,
+  INVALID_CATEGORY: 400,
+  REPORT_RATE_LIMIT: 429,
+  INVALID_TRANSCRIPT: 400,
+  INVALID_TEXT: 400,
+  INVALID_CALL_EVENTS: 400,
+  INVALID_CURSOR: 400,
+  INVALID_FORMAT: 400,
+  INVALID_VERSION: 400,
+  BLOCKLIST_ENTRY_NOT_FOUND: 404,
+  DUPLICATE_BLOCKLIST_ENTRY: 409,
+  BLOCKLIST_FULL: 409
+};
+
+/**
+ * Reply with the API's error shape: { error, code[, details] }.
+ */
+function sendError(res, status, code, message, details) {
+  return res.status(status).json({ error: message, code, ...(details ? { details } : {}) });
+}
+
+function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return sendError(res, 400, 'VALIDATION_FAILED', errors.array().map(e => e.msg).join('. '),
+      errors.array().map(e => ({ field: e.path, message: e.msg })));
+  }
+  next();
+}
+
+/**
+ * Wrap a handler so BusinessErrors become API errors and the rest reach the
+ * global error handler.
+ */
+function apiHandler(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return sendError(res, API_ERROR_STATUS[err.code] || 400, err.code, err.message, err.details);
+      }
+      next(err);
+    }
+  };
+}
+
+function challenge(res, params = '') {
+  res.set('WWW-Authenticate', `Bearer realm="spamklr"${params}`);
+}
+
+/**
+ * Require "Authorization: Bearer <api key>"; sets req.apiKey to
+ * { id, name, owner, scopes, prefix }. Every failure is a 401.
+ */
+async function authenticate(req, res, next) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    challenge(res);
+    return sendError(res, 401, 'API_KEY_REQUIRED', 'Send your API key as "Authorization: Bearer <key>"');
+  }
+  try {
+    req.apiKey = await authenticateApiKey(match[1]);
+    next();
+  } catch (err) {
+    if (err instanceof BusinessError) {
+      countBusinessError(err);
+      challenge(res, ', error="invalid_token"');
+      return sendError(res, 401, err.code, err.message);
+    }
+    next(err);
+  }
+}
+
+/**
+ * 403 unless the request's key carries `scope`.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey.scopes.includes(scope)) {
+      challenge(res, `, error="insufficient_scope", scope="${scope}"`);
+      return sendError(res, 403, 'INSUFFICIENT_SCOPE', `This API key lacks the "${scope}" scope`);
+    }
+    next();
+  };
+}
+
+const CLIENT_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * Identity a request is reported under: the caller's X-Client-Id header, or
+ * its IP address without one. The caller picks it, so it only breaks usage
+ * down; quotas are held on the key owner's totals.
+ */
+function clientIdentity(req) {
+  const clientId = req.get('X-Client-Id');
+  return clientId && CLIENT_ID.test(clientId) ? `client:${clientId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Hold the key's owner to the key's plan quotas: takes the request from them
+ * up front, sets X-Quota-Limit, X-Quota-Remaining and X-Quota-Reset (Unix
+ * seconds) for the tightest of the daily and monthly windows, and answers
+ * 429 once one is used up. Counted per owner, so rotating a key keeps the
+ * counts. Requests that reach a route are also counted against it and the
+ * client identity when the response is sent; refused requests are not.
+ */
+async function meterUsage(req, res, next) {
+  try {
+    const { owner } = req.apiKey;
+    const quota = await consumeQuota(owner, req.apiKey.plan);
+    const { limiting } = quota;
+    if (limiting) {
+      res.set({
+        'X-Quota-Limit': String(limiting.limit),
+        'X-Quota-Remaining': String(limiting.remaining),
+        'X-Quota-Reset': String(Math.ceil(limiting.resetAt.getTime() / 1000))
+      });
+    }
+    if (quota.exceeded) {
+      const period = limiting === quota.daily ? 'daily' : 'monthly';
+      countRateLimited('api_quota');
+      res.set('Retry-After', String(Math.max(Math.ceil((limiting.resetAt - Date.now()) / 1000), 1)));
+      return sendError(res, 429, 'QUOTA_EXCEEDED', `The ${period} quota of ${limiting.limit} requests for the ${quota.plan} plan is used up`, {
+        plan: quota.plan,
+        period,
+        limit: limiting.limit,
+        resetAt: limiting.resetAt.toISOString()
+      });
+    }
+    res.on('finish', () => {
+      if (!req.route) return;
+      recordUsage(owner, { client: clientIdentity(req), endpoint: `${req.method} ${req.route.path}` })
+        .catch(err => logger.warn('Could not record API usage', { err }));
+    });
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+const validateDetect = [
+  body('number')
+    .isString()
+    .withMessage('number is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('number must be 1-32 characters'),
+  body('region')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('region must be a two-letter country code')
+];
+
+const validateReport = [
+  ...validateDetect,
+  body('category')
+    .isIn(REPORT_CATEGORIES)
+    .withMessage(`category must be one of ${REPORT_CATEGORIES.join(', ')}`)
+];
+
+const validateReputation = [
+  query('number')
+    .isString()
+    .withMessage('number is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('number must be 1-32 characters'),
+  query('region')
+    .optional()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z]{2}$/)
+    .withMessage('region must be a two-letter country code')
+];
+
+const validateTranscript = [
+  body('text').optional().isString().withMessage('text must be a string'),
+  body('segments').optional().isArray().withMessage('segments must be an array')
+];
+
+const validateLanguage = [
+  body('text').isString().withMessage('text is required')
+];
+
+const DEVICE_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+const validateCallEvents = [
+  body('deviceId')
+    .isString()
+    .matches(DEVICE_ID)
+    .withMessage('deviceId must be 1-64 letters, digits, dots, dashes, underscores or colons'),
+  body('events')
+    .isArray({ min: 1, max: MAX_BATCH })
+    .withMessage(`events must be a list of 1-${MAX_BATCH} call events`),
+  body('events.*.eventId')
+    .isString()
+    .matches(/^[A-Za-z0-9_-]{8,64}$/)
+    .withMessage('eventId must be 8-64 letters, digits, dashes or underscores'),
+  body('events.*.number')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 32 })
+    .withMessage('number must be text of at most 32 characters'),
+  body('events.*.direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('direction must be incoming or outgoing'),
+  body('events.*.startedAt')
+    .isISO8601({ strict: true })
+    .withMessage('startedAt must be an ISO 8601 date'),
+  body('events.*.durationSeconds')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('durationSeconds must be a whole number of seconds up to a day'),
+  body('events.*.verdict')
+    .optional({ values: 'null' })
+    .isIn(['allow', 'warn', 'block'])
+    .withMessage('verdict must be allow, warn or block'),
+  body('events.*.action')
+    .isIn(['allowed', 'blocked', 'silenced'])
+    .withMessage('action must be allowed, blocked or silenced'),
+  body('events.*.spamScore')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('spamScore must be 0-100'),
+  body('events.*.category')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 32 })
+    .withMessage('category must be text of at most 32 characters')
+];
+
+const validateCallQuery = [
+  query('deviceId')
+    .isString()
+    .matches(DEVICE_ID)
+    .withMessage('deviceId is required'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200'),
+  query('cursor').optional().isString().isLength({ max: 200 }).withMessage('cursor is not valid')
+];
+
+const validateSync = [
+  query('since').optional().isInt({ min: 0 }).withMessage('since must be a version number from a previous sync'),
+  query('format').optional().isIn(SYNC_FORMATS).withMessage(`format must be one of ${SYNC_FORMATS.join(', ')}`)
+];
+
+const validateBlocklistEntry = [
+  body('pattern')
+    .isString()
+    .withMessage('pattern is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('pattern must be 1-32 characters'),
+  body('label').optional({ values: 'null' }).isString().withMessage('label must be text'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('source').optional().isIn(['manual', 'community', 'auto']).withMessage('source must be manual, community or auto')
+];
+
+const validateBlocklistChange = [
+  body('label').optional({ values: 'null' }).isString().withMessage('label must be text'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date'),
+  body('source').optional().isIn(['manual', 'community', 'auto']).withMessage('source must be manual, community or auto')
+];
+
+const validateBlocklistImport = [
+  body('entries').isArray().withMessage('entries must be an array'),
+  body('mode').optional().isIn(['merge', 'replace']).withMessage('mode must be merge or replace')
+];
+
+/**
+ * Build the /api/v1 router.
+ */
+function createApiRouter(config) {
+  const router = express.Router();
+
+  // Every /api/v1 route needs an API key; data belongs to the key's owner
+  router.use(authenticate);
+
+  // The key owner's consumption against the plan; free to call, so it works over quota too
+  router.get('/usage', apiHandler(async (req, res) => {
+    res.json(await getUsageReport(req.apiKey.owner, req.apiKey.plan));
+  }));
+
+  router.use(meterUsage);
+
+  // Spam score for a phone number
+  router.post('/detect', requireScope('detect'), validateDetect, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await detectSpam({ number: req.body.number, region: req.body.region, owner: req.apiKey.owner }));
+  }));
+
+  // Scam phrases (OTP, password, bank detail requests) in a call transcript
+  router.post('/analyze-transcript', requireScope('detect'), validateTranscript, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(analyzeTranscript({ text: req.body.text, segments: req.body.segments }));
+  }));
+
+  // Ranked languages of a transcript or message
+  router.post('/identify-language', requireScope('detect'), validateLanguage, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json({ apiVersion: 'v1', ...identifyLanguage(req.body.text) });
+  }));
+
+  // Community reports: each key owner is one reporter
+  router.post('/reports', requireScope('report'), validateReport, handleValidationErrors, apiHandler(async (req, res) => {
+    res.status(201).json(await reportNumber({
+      number: req.body.number,
+      region: req.body.region,
+      category: req.body.category,
+      reporter: req.apiKey.owner,
+      ipAddress: req.ip
+    }));
+  }));
+
+  // Aggregated reputation of a number, with report counts per category
+  router.get('/reputation', requireScope('detect'), validateReputation, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await getReputation({ number: req.query.number, region: req.query.region }));
+  }));
+
+  // Call logs uploaded by the owner's devices; safe to retry (deduplicated on eventId)
+  router.post('/calls', requireScope('calls'), validateCallEvents, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await ingestCallEvents(req.apiKey.owner, req.body, { region: req.body.region }));
+  }));
+
+  router.get('/calls', requireScope('calls'), validateCallQuery, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await listCallEvents(req.apiKey.owner, req.query));
+  }));
+
+  // Known-spam list for on-device protection: a snapshot, or only what changed since `since`
+  router.get('/sync/known-spam', requireScope('detect'), validateSync, handleValidationErrors, apiHandler(async (req, res) => {
+    const sync = await getKnownSpamSync({ since: req.query.since, format: req.query.format });
+    res.set({
+      ETag: sync.etag,
+      'Cache-Control': 'no-cache',
+      'X-Sync-Type': sync.type,
+      'X-Sync-Version': String(sync.version)
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    if (sync.format === 'json') {
+      return res.json({ apiVersion: 'v1', format: sync.format, ...sync.body });
+    }
+    res.type('application/octet-stream').send(sync.body);
+  }));
+
+  // The owner's own blocklist
+  const canRead = requireScope('blocklist:read');
+  const canWrite = requireScope('blocklist:write');
+
+  router.get('/blocklist', canRead, apiHandler(async (req, res) => {
+    res.json(await listBlocklist(req.apiKey.owner, req.query));
+  }));
+
+  router.post('/blocklist', canWrite, validateBlocklistEntry, handleValidationErrors, apiHandler(async (req, res) => {
+    res.status(201).json(await addBlocklistEntry(req.apiKey.owner, req.body, { region: req.body.region }));
+  }));
+
+  // Portable copy of the whole list, accepted as-is by /blocklist/import
+  router.get('/blocklist/export', canRead, apiHandler(async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`spamklr-blocklist-${date}.json`);
+    res.json(await exportBlocklist(req.apiKey.owner));
+  }));
+
+  router.post('/blocklist/import', canWrite, validateBlocklistImport, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await importBlocklist(req.apiKey.owner, req.body, { region: req.body.region }));
+  }));
+
+  router.get('/blocklist/:id', canRead, apiHandler(async (req, res) => {
+    res.json(await getBlocklistEntry(req.apiKey.owner, req.params.id));
+  }));
+
+  router.patch('/blocklist/:id', canWrite, validateBlocklistChange, handleValidationErrors, apiHandler(async (req, res) => {
+    res.json(await changeBlocklistEntry(req.apiKey.owner, req.params.id, req.body));
+  }));
+
+  router.delete('/blocklist/:id', canWrite, apiHandler(async (req, res) => {
+    await removeBlocklistEntry(req.apiKey.owner, req.params.id);
+    res.status(204).end();
+  }));
+
+  // Unknown /api/v1 routes
+  router.use((req, res) => sendError(res, 404, 'NOT_FOUND', 'API endpoint not found'));
+
+  return router;
+}
+
+module.exports = { createApiRouter, sendError, apiHandler, handleValidationErrors, requireScope, API_ERROR_STATUS };
@@ -0,0 +1,716 @@
+// presentation/app.js
+// Express app factory: middleware + handlebars setup + routes. Building an app
+// has no side effects (no DB connection, no listen), so it can be mounted in
+// another Express app or driven directly from tests.
+
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const session = require('express-session');
+const mongoSanitize = require('express-mongo-sanitize');
+const hpp = require('hpp');
+const { body, check, validationResult } = require('express-validator');
+const exphbs = require('express-handlebars');
+
+const persistence = require('../persistence/persistence');
+const { setTransport } = require('../business/mailer');
+const { createAdminRouter } = require('./admin');
+const { createApiRouter } = require('./api');
+const { resolveConfig } = require('./config');
+const { createLimiters } = require('./ratelimit');
+const {
+  addToWaitlist,
+  confirmWaitlistEntry,
+  requestStatusLink,
+  getWaitlistStatus,
+  getWaitlistStats,
+  addContactSubmission,
+  BusinessError
+} = require('../business/business');
+const { FORMS, issueFormToken, verifyFormSubmission, releaseFormToken } = require('../business/botdefence');
+const { requestDataSubjectAction, getDataSubjectRequest, fulfilDataSubjectRequest } = require('../business/privacy');
+const { logger, withLogContext } = require('../business/logger');
+const { observeRequest, countBusinessError, setDatabaseStatus, renderMetrics } = require('../business/metrics');
+
+// Incoming X-Request-Id values are reused only if they look like an id
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Validation middleware for signup
+const validateSignup = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s\-'\.]+$/)
+    .withMessage('Name can only contain letters, spaces, hyphens, apostrophes, and periods'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+    .isLength({ max: 254 })
+    .withMessage('Email is too long'),
+  // Referral code, accepted from the body or the query string
+  check('ref')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isAlphanumeric()
+    .isLength({ max: 16 })
+    .withMessage('Invalid referral code')
+];
+
+// Validation middleware for contact form
+const validateContact = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters')
+    .matches(/^[a-zA-Z\s\-'\.]+$/)
+    .withMessage('Name can only contain letters, spaces, hyphens, apostrophes, and periods'),
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+    .isLength({ max: 254 })
+    .withMessage('Email is too long'),
+  body('subject')
+    .trim()
+    .isIn(['general', 'support', 'business', 'press', 'feedback'])
+    .withMessage('Please select a valid subject'),
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Message must be between 10 and 1000 characters')
+];
+
+/**
+ * Public base URL used in emailed links. APP_BASE_URL wins so links cannot
+ * be pointed elsewhere by a spoofed Host header.
+ */
+function getBaseUrl(req) {
+  return (req.app.get('config').baseUrl || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Refusals the visitor corrects in the form and sends again, keeping its token
+const CORRECTABLE_CODES = ['INVALID_EMAIL', 'INVALID_NAME', 'INVALID_SUBJECT', 'INVALID_MESSAGE', 'EMAIL_TYPO'];
+
+/**
+ * Give back the form token botCheck took for this request (if any), so the
+ * corrected form can be submitted without reloading the page.
+ */
+async function releaseFormTokenForCorrection(res) {
+  if (!res.locals.formToken) return;
+  await releaseFormToken(res.locals.formToken).catch(err => logger.error('Could not release form token', { err }));
+}
+
+async function handleValidationErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.info('Validation failed', { fields: errors.array().map(e => e.path) });
+    await releaseFormTokenForCorrection(res);
+    const errorMessages = errors.array().map(e => e.msg);
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: errorMessages.join('. '),
+      errors: errors.array()
+    });
+  }
+  next();
+}
+
+const validatePrivacyRequest = [
+  body('email').isEmail().withMessage('Please enter a valid email address').normalizeEmail(),
+  body('type').isIn(['export', 'erase']).withMessage('Please choose export or erasure')
+];
+
+/**
+ * Bot checks for a public form (see business/botdefence.js). Runs before the
+ * validators, so the proof of work is checked against the email as typed.
+ * The token is kept in res.locals.formToken, to be given back for refusals
+ * the visitor corrects (see CORRECTABLE_CODES); any other refusal, such as a
+ * duplicate or a full waitlist, uses it up.
+ */
+function botCheck(form) {
+  return async (req, res, next) => {
+    const fields = req.body || {};
+    const token = fields.formToken;
+    try {
+      await verifyFormSubmission(form, {
+        token,
+        honeypot: fields.website,
+        email: fields.email,
+        nonce: fields.powNonce
+      });
+      res.locals.formToken = token;
+      next();
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        logger.info('Form submission refused by bot checks', { form, code: err.code });
+        return res.status(400).json({ error: err.message, code: err.code });
+      }
+      next(err);
+    }
+  };
+}
+
+/**
+ * Give each request a correlation id (the caller's X-Request-Id if usable),
+ * echo it in the X-Request-Id response header, add it to every log entry
+ * made while handling the request, and log the request once it is answered.
+ * Only the route pattern is logged, never the path, since paths can hold tokens.
+ */
+function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const entry = {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      status,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip
+    };
+    observeRequest({ method: req.method, route: entry.route, status, seconds });
+    if (status >= 500) logger.error('Request failed', entry);
+    else logger.info('Request handled', entry);
+  });
+  withLogContext({ requestId: req.id }, next);
+}
+
+const LOOPBACK = ['127.0.0.1', '::1'];
+
+/**
+ * Guard for /metrics and /health: a request passes with "Authorization:
+ * Bearer <METRICS_TOKEN>" or from an address in METRICS_ALLOWED_IPS. With
+ * neither configured, only loopback requests are allowed.
+ */
+function operatorAccess({ token, allowedIps }) {
+  const expected = token ? crypto.createHash('sha256').update(token).digest() : null;
+  const allowed = allowedIps.length ? allowedIps : (token ? [] : LOOPBACK);
+  return (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (expected && match && crypto.timingSafeEqual(crypto.createHash('sha256').update(match[1]).digest(), expected)) {
+      return next();
+    }
+    const ip = String(req.ip || '').replace(/^::ffff:/, '');
+    if (allowed.includes(ip)) return next();
+    res.status(403).json({ error: 'Access Denied', message: 'Not available to this client' });
+  };
+}
+
+/**
+ * Settle like `promise`, or reject once `ms` have passed.
+ */
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check the dependencies needed to serve traffic (the database and the
+ * session store), in parallel and each within `timeoutMs`. Resolves to
+ * { ready, checks } where each check is { status: up|down, durationMs[, error] }.
+ */
+async function checkReadiness({ pingDB, sessionStore, timeoutMs }) {
+  const probes = {
+    database: () => pingDB(),
+    // Any store answers a lookup of an unknown session id with nothing
+    sessions: () => new Promise((resolve, reject) => {
+      sessionStore.get('readiness-probe', err => (err ? reject(err) : resolve()));
+    })
+  };
+  const results = await Promise.all(Object.entries(probes).map(async ([name, probe]) => {
+    const started = Date.now();
+    try {
+      await withTimeout(Promise.resolve().then(probe), timeoutMs, name);
+      return [name, { status: 'up', durationMs: Date.now() - started }];
+    } catch (err) {
+      logger.warn('Readiness check failed', { check: name, err });
+      return [name, { status: 'down', durationMs: Date.now() - started, error: err.message }];
+    }
+  }));
+  return {
+    ready: results.every(([, check]) => check.status === 'up'),
+    checks: Object.fromEntries(results)
+  };
+}
+
+// Global error handler; every response carries the request's correlation id
+function globalErrorHandler(err, req, res, next) {
+  const reply = (status, body) => res.status(status).json({ ...body, requestId: req.id });
+
+  logger.error('Request error', { method: req.method, route: req.route ? `${req.baseUrl}${req.route.path}` : null, err });
+
+  if (err.name === 'ValidationError') {
+    const errorMessages = Object.values(err.errors).map(val => val.message);
+    return reply(400, { error: 'Validation Error', message: errorMessages.join('. ') });
+  }
+  if (err.code === 11000) {
+    return reply(409, { error: 'Duplicate Entry', message: 'This email is already registered on our waitlist!' });
+  }
+  if (err.message === 'Not allowed by CORS') {
+    return reply(403, { error: 'Access Denied', message: 'Request not allowed by CORS policy' });
+  }
+  if (err.status === 429) {
+    return reply(429, { error: 'Too Many Requests', message: 'Please slow down and try again later' });
+  }
+
+  // MongoDB connection errors
+  if (err.name === 'MongooseServerSelectionError' || err.name === 'MongoServerError') {
+    logger.error('Database connection error - check MongoDB URI and network');
+    return reply(503, { error: 'Service Unavailable', message: 'Database connection error. Please try again later.' });
+  }
+
+  reply(500, {
+    error: 'Server Error',
+    message: req.app.get('config').nodeEnv === 'production'
+      ? 'Something went wrong. Please try again.'
+      : err.message
+  });
+}
+
+/**
+ * Build the SPAMKLR Express app.
+ * - config: overrides for presentation/config.js (defaults come from env)
+ * - persistence: a backend implementing persistence.OPERATIONS (default: PERSISTENCE_BACKEND)
+ * - mailer: a mail transport with async send(message) (default: MAIL_TRANSPORT)
+ * The business layer is shared per process, so an injected persistence
+ * backend or mailer applies to every app built in it.
+ */
+function createApp({ config: overrides, persistence: backend, mailer } = {}) {
+  const config = resolveConfig(overrides);
+  if (backend) persistence.setBackend(backend);
+  if (mailer) setTransport(mailer);
+  const { createSessionStore, getDBStatus, pingDB } = persistence;
+  setDatabaseStatus(getDBStatus);
+
+  const app = express();
+  app.set('config', config);
+  app.set('trust proxy', config.trustProxy);
+
+  // Correlation id and request log, before anything that can answer
+  app.use(requestContext);
+
+  // Handlebars setup
+  app.engine('hbs', exphbs.engine({
+    extname: '.hbs',
+    layoutsDir: path.join(__dirname, '..', 'views', 'layouts'),
+    partialsDir: path.join(__dirname, '..', 'views', 'partials'),
+    defaultLayout: 'main',
+    helpers: {
+      eq: (a, b) => a === b,
+      formatDate: date => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '')
+    }
+  }));
+  app.set('view engine', 'hbs');
+  app.set('views', path.join(__dirname, '..', 'views'));
+
+  // Security middleware
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
+        fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
+        scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'"]
+      }
+    }
+  }));
+
+  // Kept with the data when the backend supports it (e.g. in MongoDB)
+  const sessionStore = config.session.store || createSessionStore() || new session.MemoryStore();
+  const readiness = () => checkReadiness({ pingDB, sessionStore, timeoutMs: config.readinessTimeoutMs });
+
+  // Probes, diagnostics and the Prometheus scrape endpoint come ahead of the
+  // general limiter, so polling neither uses it up nor is refused by it
+
+  // Liveness: the process is up and serving requests
+  app.get('/livez', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: every dependency answers; 503 takes the instance out of rotation
+  app.get('/readyz', async (req, res) => {
+    const { ready, checks } = await readiness();
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'unavailable',
+      checks: Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, check.status]))
+    });
+  });
+
+  // Diagnostics for operators
+  app.get('/health', operatorAccess(config.metrics), async (req, res) => {
+    const { ready, checks } = await readiness();
+    const db = getDBStatus();
+
+    let stats = null;
+    if (checks.database.status === 'up') {
+      try {
+        stats = await getWaitlistStats();
+      } catch (err) {
+        logger.warn('Health check could not fetch stats', { err });
+      }
+    }
+
+    const health = {
+      status: ready ? 'OK' : 'DEGRADED',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      environment: config.nodeEnv,
+      checks,
+      database: {
+        status: db.status,
+        backend: db.backend,
+        host: db.host
+      },
+      server: {
+        port: config.port,
+        nodeVersion: process.version,
+        platform: process.platform
+      }
+    };
+
+    if (stats) {
+      health.stats = {
+        waitlistTotal: stats.totalSignups,
+        waitlistRecent24h: stats.recentSignups24h
+      };
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json(health);
+  });
+
+  app.get('/metrics', operatorAccess(config.metrics), (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  });
+
+  // General rate limiter
+  const limiter = createLimiters(config);
+  app.use(limiter('general', {
+    message: {
+      error: "Too many requests from this IP, please try again later.",
+      retryAfter: "15 minutes"
+    }
+  }));
+
+  // Body parsers
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // ✅ Custom sanitization (only body + params, skip query to avoid crash)
+  app.use((req, res, next) => {
+    if (req.body) mongoSanitize.sanitize(req.body);
+    if (req.params) mongoSanitize.sanitize(req.params);
+    next();
+  });
+
+  // Prevent HTTP param pollution
+  app.use(hpp());
+
+  // ✅ Global CORS
+  const corsOptions = {
+    origin: function (origin, callback) {
+      if (!origin) return callback(null, true); // allow curl/postman/mobile apps
+
+      if (config.allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        logger.warn('CORS blocked origin', { origin });
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    credentials: true,
+    optionsSuccessStatus: 200,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id', 'X-Client-Id'],
+    exposedHeaders: ['X-Request-Id']
+  };
+  app.use(cors(corsOptions));
+
+  // Session
+  app.use(session({
+    secret: config.session.secret,
+    resave: false,
+    saveUninitialized: false,
+    store: sessionStore,
+    cookie: {
+      secure: config.session.secure,
+      httpOnly: config.session.httpOnly,
+      sameSite: 'lax',
+      maxAge: config.session.maxAge
+    }
+  }));
+
+  // Serve static assets
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+
+  // Route-level limiters; form routes share the signup policy unless they have their own
+  const signupLimiter = name => limiter(name, {
+    fallback: 'signup',
+    message: {
+      error: "Too many signup attempts, please try again later.",
+      retryAfter: "15 minutes"
+    }
+  });
+
+  // Homepage
+  app.get('/', async (req, res, next) => {
+    try {
+      const stats = await getWaitlistStats();
+      // The forms carry freshly issued tokens, so the page must not be cached
+      const formTokens = Object.fromEntries(FORMS.map(form => [form, issueFormToken(form)]));
+      res.set('Cache-Control', 'no-store');
+      res.render('index', { stats, formTokens });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Join waitlist
+  app.post('/join', signupLimiter('join'), botCheck('join'), validateSignup, handleValidationErrors, async (req, res, next) => {
+    try {
+      const { name, email } = req.body;
+      const ref = req.body.ref || req.query.ref;
+      const clientIP = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+      const userAgent = req.get('User-Agent') || 'unknown';
+
+      const result = await addToWaitlist({ name, email, ref, ipAddress: clientIP, userAgent, baseUrl: getBaseUrl(req) });
+
+      if (req.session) {
+        req.session.hasSignedUp = true;
+        req.session.signupTime = new Date();
+      }
+
+      res.status(201).json({
+        success: true,
+        pending: result.pending,
+        message: `📧 Almost there, ${result.entry.name}! We've sent a confirmation link to ${result.entry.email}. Open it to secure your spot on the waitlist.`
+      });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        logger.info('Waitlist signup refused', { code: err.code });
+        if (CORRECTABLE_CODES.includes(err.code)) await releaseFormTokenForCorrection(res);
+        const statusMap = {
+          WAITLIST_FULL: 429,
+          IP_RATE_LIMIT: 429,
+          DUPLICATE_EMAIL: 409,
+          INVALID_EMAIL: 400,
+          INVALID_NAME: 400,
+          EMAIL_TYPO: 422,
+          DISPOSABLE_EMAIL: 422,
+          UNDELIVERABLE_EMAIL: 422
+        };
+        const status = statusMap[err.code] || 400;
+        return res.status(status).json({ error: err.message, code: err.code, ...err.details });
+      }
+      if (err.name === 'ValidationError') {
+        const errorMessages = Object.values(err.errors).map(v => v.message);
+        return res.status(400).json({ error: 'Validation Error', message: errorMessages.join('. ') });
+      }
+      if (err.code === 11000) {
+        return res.status(409).json({ error: 'Duplicate Entry', message: 'This email is already registered on our waitlist!' });
+      }
+      next(err);
+    }
+  });
+
+  // Confirm waitlist email (link from the verification mail)
+  app.get('/join/verify/:token', async (req, res, next) => {
+    try {
+      const { entry, position, referralCode } = await confirmWaitlistEntry(req.params.token);
+      res.render('verify', {
+        confirmed: true,
+        name: entry.name,
+        position,
+        referralLink: `${getBaseUrl(req)}/?ref=${referralCode}#waitlist`
+      });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('verify', { confirmed: false, message: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Waitlist status: request a magic link by email
+  app.get('/waitlist/status', (req, res) => {
+    res.render('waitlist-status', { requestForm: true });
+  });
+
+  app.post('/waitlist/status', signupLimiter('waitlistStatus'), body('email').isEmail().normalizeEmail(), async (req, res, next) => {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).render('waitlist-status', { requestForm: true, error: 'Please enter a valid email address' });
+    }
+    try {
+      await requestStatusLink({ email: req.body.email, baseUrl: getBaseUrl(req) });
+      res.render('waitlist-status', { linkSent: true });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('waitlist-status', { requestForm: true, error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Waitlist status page (link from the magic-link mail)
+  app.get('/waitlist/status/:token', async (req, res, next) => {
+    try {
+      const status = await getWaitlistStatus(req.params.token);
+      res.render('waitlist-status', {
+        status,
+        joinedOn: status.joinedAt.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }),
+        referralLink: status.referralCode ? `${getBaseUrl(req)}/?ref=${status.referralCode}#waitlist` : null
+      });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('waitlist-status', { requestForm: true, error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Data-subject requests (GDPR / PDPPL): ask for an export or erasure
+  app.get('/privacy', (req, res) => {
+    res.render('privacy', { requestForm: true });
+  });
+
+  app.post('/privacy/requests', signupLimiter('privacyRequests'), validatePrivacyRequest, async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).render('privacy', { requestForm: true, error: errors.array().map(e => e.msg).join('. ') });
+    }
+    try {
+      const clientIP = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+      await requestDataSubjectAction({ email: req.body.email, type: req.body.type, baseUrl: getBaseUrl(req), ipAddress: clientIP });
+      res.render('privacy', { linkSent: true });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('privacy', { requestForm: true, error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Confirmation page from the emailed link. Opening it changes nothing, so
+  // mail scanners prefetching the link cannot trigger an export or erasure.
+  app.get('/privacy/requests/:token', async (req, res, next) => {
+    try {
+      const request = await getDataSubjectRequest(req.params.token);
+      res.render('privacy', { confirm: true, token: req.params.token, isExport: request.type === 'export' });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('privacy', { requestForm: true, error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  app.post('/privacy/requests/:token', async (req, res, next) => {
+    try {
+      const result = await fulfilDataSubjectRequest(req.params.token);
+      if (result.type === 'export') {
+        res.attachment('spamklr-data-export.json');
+        res.type('application/json');
+        return res.send(JSON.stringify({ ...result.data, receipt: result.receipt }, null, 2));
+      }
+      res.render('privacy', { erased: true, affected: result.affected, receipt: result.receipt });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        return res.status(400).render('privacy', { requestForm: true, error: err.message });
+      }
+      next(err);
+    }
+  });
+
+  // Handle preflight requests for /contact
+  app.options('/contact', cors(corsOptions));
+
+  // Contact form submission
+  app.post('/contact', signupLimiter('contact'), botCheck('contact'), validateContact, handleValidationErrors, async (req, res, next) => {
+    try {
+      const { name, email, subject, message } = req.body;
+      const clientIP = req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
+      const userAgent = req.get('User-Agent') || 'unknown';
+
+      const result = await addContactSubmission({ name, email, subject, message, ipAddress: clientIP, userAgent });
+
+      res.status(201).json({
+        success: true,
+        message: `Thank you ${result.entry.name}! We've received your message and will reply within 24 hours.`
+      });
+    } catch (err) {
+      if (err instanceof BusinessError) {
+        countBusinessError(err);
+        logger.info('Contact submission refused', { code: err.code });
+        if (CORRECTABLE_CODES.includes(err.code)) await releaseFormTokenForCorrection(res);
+        const statusMap = {
+          IP_RATE_LIMIT: 429,
+          INVALID_EMAIL: 400,
+          INVALID_NAME: 400,
+          INVALID_SUBJECT: 400,
+          INVALID_MESSAGE: 400,
+          EMAIL_TYPO: 422,
+          DISPOSABLE_EMAIL: 422,
+          UNDELIVERABLE_EMAIL: 422
+        };
+        const status = statusMap[err.code] || 400;
+        return res.status(status).json({ error: err.message, code: err.code, ...err.details });
+      }
+      if (err.name === 'ValidationError') {
+        const errorMessages = Object.values(err.errors).map(v => v.message);
+        return res.status(400).json({ error: 'Validation Error', message: errorMessages.join('. ') });
+      }
+      next(err);
+    }
+  });
+
+  // Waitlist stats
+  app.get('/waitlist-stats', async (req, res, next) => {
+    try {
+      const stats = await getWaitlistStats();
+      res.json(stats);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Admin console
+  app.use('/admin', createAdminRouter(config));
+
+  // Public API
+  app.use('/api/v1', createApiRouter(config));
+
+  // 404 for API
+  app.use('/api', (req, res) => {
+    res.status(404).json({ error: 'Not Found', message: 'API endpoint not found' });
+  });
+
+  app.use(globalErrorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
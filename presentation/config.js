@@ -0,0 +1,100 @@
+// presentation/config.js
+// HTTP-layer settings read from the environment, in one place so an embedding
+// app can pass its own to createApp() instead.
+
+function toInt(value, fallback) {
+  return parseInt(value, 10) || fallback;
+}
+
+const POLICY_SETTINGS = ['windowMs', 'max'];
+
+/**
+ * Parse RATE_LIMIT_POLICIES: a JSON object of policy name to settings, each
+ * optional setting a positive integer. Throws naming the variable otherwise.
+ */
+function parsePolicies(value) {
+  if (!value) return {};
+  const invalid = reason => new Error(`RATE_LIMIT_POLICIES is invalid: ${reason}`);
+  const isObject = candidate => candidate !== null && typeof candidate === 'object' && !Array.isArray(candidate);
+
+  let policies;
+  try {
+    policies = JSON.parse(value);
+  } catch (err) {
+    throw invalid(`not valid JSON (${err.message})`);
+  }
+  if (!isObject(policies)) {
+    throw invalid('expected an object of policies, e.g. {"contact":{"max":3}}');
+  }
+  for (const [name, policy] of Object.entries(policies)) {
+    if (!isObject(policy)) throw invalid(`policy "${name}" must be an object`);
+    for (const [setting, limit] of Object.entries(policy)) {
+      if (!POLICY_SETTINGS.includes(setting)) {
+        throw invalid(`policy "${name}" has unknown setting "${setting}" (expected ${POLICY_SETTINGS.join(' or ')})`);
+      }
+      if (!Number.isInteger(limit) || limit <= 0) {
+        throw invalid(`policy "${name}" ${setting} must be a positive integer`);
+      }
+    }
+  }
+  return policies;
+}
+
+/**
+ * Build the app config from environment variables (defaults match production).
+ */
+function loadConfig(env = process.env) {
+  return {
+    port: env.PORT || 5000,
+    nodeEnv: env.NODE_ENV || 'development',
+    appName: env.APP_NAME || 'SPAMKLR',
+    // Public base URL for emailed links; derived from the request when unset
+    baseUrl: env.APP_BASE_URL || null,
+    allowedOrigins: env.ALLOWED_ORIGINS
+      ? env.ALLOWED_ORIGINS.split(',')
+      : ['https://spamklr.com', 'https://www.spamklr.com'],
+    trustProxy: 1,
+    session: {
+      secret: env.SESSION_SECRET || 'fallback-secret-change-this',
+      secure: env.SESSION_COOKIE_SECURE === 'true',
+      httpOnly: env.SESSION_COOKIE_HTTP_ONLY !== 'false',
+      maxAge: toInt(env.SESSION_MAX_AGE, 3600000),
+      // express-session store; defaults to the persistence backend's own
+      store: undefined
+    },
+    rateLimit: {
+      windowMs: toInt(env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+      max: toInt(env.RATE_LIMIT_MAX_REQUESTS, 100),
+      signupMax: toInt(env.RATE_LIMIT_MAX_SIGNUP_REQUESTS, 5),
+      adminLoginMax: toInt(env.ADMIN_LOGIN_MAX_ATTEMPTS, 10),
+      // "shared" keeps counts in the persistence backend; "memory" per process
+      store: env.RATE_LIMIT_STORE || 'shared',
+      // Per-policy overrides as JSON, e.g. {"contact":{"windowMs":3600000,"max":3}}
+      policies: parsePolicies(env.RATE_LIMIT_POLICIES)
+    },
+    // How long each /readyz dependency check may take before it counts as down
+    readinessTimeoutMs: toInt(env.READINESS_TIMEOUT_MS, 2000),
+    metrics: {
+      // Bearer token for /metrics scrapes and /health diagnostics
+      token: env.METRICS_TOKEN || null,
+      // Client addresses allowed to scrape without the token (comma-separated)
+      allowedIps: env.METRICS_ALLOWED_IPS
+        ? env.METRICS_ALLOWED_IPS.split(',').map(ip => ip.trim()).filter(Boolean)
+        : []
+    }
+  };
+}
+
+/**
+ * Overlay caller settings on the environment defaults (one level deep).
+ */
+function resolveConfig(overrides = {}) {
+  const base = loadConfig();
+  const config = { ...base, ...overrides };
+  for (const key of ['session', 'rateLimit', 'metrics']) {
+    config[key] = { ...base[key], ...overrides[key] };
+  }
+  return config;
+}
+
+module.exports = { loadConfig, resolveConfig };
@@ -0,0 +1,117 @@
+// presentation/ratelimit.js
+// express-rate-limit limiters built from named policies. Counts are kept
+// through the persistence backend (TTL-indexed counters in MongoDB), so
+// limits hold across replicas and restarts.
+
+const rateLimit = require('express-rate-limit');
+const {
+  incrementRateLimit,
+  decrementRateLimit,
+  resetRateLimit,
+  findRateLimit
+} = require('../persistence/persistence');
+const { logger } = require('../business/logger');
+const { countRateLimited } = require('../business/metrics');
+
+/**
+ * An express-rate-limit store over the persistence backend, with keys
+ * namespaced by policy. If the backend cannot be reached the request is let
+ * through rather than refused, so an outage does not take the site down.
+ */
+function createRateLimitStore(policy) {
+  const prefix = `${policy}:`;
+  let windowMs;
+  const toInfo = counter => ({ totalHits: counter.count, resetTime: new Date(counter.expiresAt) });
+  const storeError = err => logger.error('Rate-limit store error; request allowed', { policy, err });
+
+  return {
+    prefix,
+    localKeys: false,
+    init(options) {
+      windowMs = options.windowMs;
+    },
+    async get(key) {
+      try {
+        const counter = await findRateLimit(prefix + key);
+        return counter ? toInfo(counter) : undefined;
+      } catch (err) {
+        storeError(err);
+        return undefined;
+      }
+    },
+    async increment(key) {
+      try {
+        return toInfo(await incrementRateLimit(prefix + key, windowMs));
+      } catch (err) {
+        storeError(err);
+        return { totalHits: 1, resetTime: new Date(Date.now() + windowMs) };
+      }
+    },
+    async decrement(key) {
+      try {
+        await decrementRateLimit(prefix + key);
+      } catch (err) {
+        storeError(err);
+      }
+    },
+    async resetKey(key) {
+      try {
+        await resetRateLimit(prefix + key);
+      } catch (err) {
+        storeError(err);
+      }
+    }
+  };
+}
+
+/**
+ * Built-in policies from config.rateLimit; RATE_LIMIT_POLICIES can change
+ * them or add per-route ones.
+ */
+function builtInPolicies({ windowMs, max, signupMax, adminLoginMax }) {
+  return {
+    general: { windowMs, max },
+    signup: { windowMs, max: signupMax },
+    adminLogin: { windowMs: 15 * 60 * 1000, max: adminLoginMax }
+  };
+}
+
+/**
+ * Limiter factory for one router. limiter(name, { fallback, message }) is
+ * the limiter for policy `name` when one is configured, otherwise the one
+ * for `fallback`; routes without their own policy share their fallback's
+ * limiter and counts. A route policy only needs the settings it changes,
+ * e.g. RATE_LIMIT_POLICIES='{"contact":{"max":3}}'.
+ */
+function createLimiters(config) {
+  const { policies, store } = config.rateLimit;
+  const builtIn = builtInPolicies(config.rateLimit);
+  const limiters = new Map();
+
+  return function limiter(name, { fallback, message } = {}) {
+    const policy = builtIn[name] || policies[name] || !fallback ? name : fallback;
+    if (!limiters.has(policy)) {
+      const { windowMs, max } = {
+        ...builtIn[fallback],
+        ...policies[fallback],
+        ...builtIn[policy],
+        ...policies[policy]
+      };
+      limiters.set(policy, rateLimit({
+        windowMs,
+        max,
+        message,
+        store: store === 'memory' ? undefined : createRateLimitStore(policy),
+        handler: (req, res, next, options) => {
+          countRateLimited(policy);
+          res.status(options.statusCode).send(options.message);
+        },
+        standardHeaders: true,
+        legacyHeaders: false
+      }));
+    }
+    return limiters.get(policy);
+  };
+}
+
+module.exports = { createLimiters, createRateLimitStore };
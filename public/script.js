@@ -577,6 +577,41 @@ function animateCounter(element) {
   }, stepTime);
 }
 
+// -----------------------
+// Bot checks (honeypot, form token, optional proof of work)
+// -----------------------
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte !== 0) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+// Fields the server checks before accepting a form; when the token asks for
+// proof of work, finds a nonce whose SHA-256 with it starts with enough zero bits
+async function botCheckFields(form, email) {
+  const tokenInput = form.querySelector('input[name="formToken"]');
+  const fields = {
+    website: form.querySelector('input[name="website"]').value,
+    formToken: tokenInput.value,
+  };
+  const difficulty = Number(tokenInput.dataset.pow) || 0;
+  if (difficulty > 0) {
+    const encoder = new TextEncoder();
+    const prefix = `${fields.formToken}:${email.trim().toLowerCase()}:`;
+    for (let nonce = 0; ; nonce++) {
+      const digest = await crypto.subtle.digest("SHA-256", encoder.encode(prefix + nonce));
+      if (leadingZeroBits(new Uint8Array(digest)) >= difficulty) {
+        fields.powNonce = String(nonce);
+        break;
+      }
+    }
+  }
+  return fields;
+}
+
 // -----------------------
 // Contact Form
 // -----------------------
@@ -612,6 +647,7 @@ if (contactForm) {
     responseDiv.innerHTML = "";
 
     try {
+      const checks = await botCheckFields(this, email);
       const response = await fetch("/contact", {
         method: "POST",
         headers: { 
@@ -619,7 +655,7 @@ if (contactForm) {
           "Accept": "application/json"
         },
         credentials: "same-origin",
-        body: JSON.stringify({ name, email, subject, message }),
+        body: JSON.stringify({ name, email, subject, message, ...checks }),
       });
 
       const result = await response.json();
@@ -659,6 +695,7 @@ if (waitlistForm) {
 
     const name = document.getElementById("name").value.trim();
     const email = document.getElementById("email").value.trim();
+    const ref = new URLSearchParams(window.location.search).get("ref") || undefined;
     const responseDiv = document.getElementById("responseMessage");
     const submitBtn = this.querySelector('button[type="submit"]');
 
@@ -668,6 +705,7 @@ if (waitlistForm) {
     responseDiv.innerHTML = "";
 
     try {
+      const checks = await botCheckFields(this, email);
       const response = await fetch("/join", {
         method: "POST",
         headers: { 
@@ -675,7 +713,7 @@ if (waitlistForm) {
           "Accept": "application/json"
         },
         credentials: "include",   // ✅ sends cookies + works with CORS
-        body: JSON.stringify({ name, email }),
+        body: JSON.stringify({ name, email, ref, ...checks }),
       });
 
       const result = await response.json();
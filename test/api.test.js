@@ -0,0 +1,78 @@
+// test/api.test.js
+// /api/v1 plan quotas and the usage report, in-process on the memory backend.
+
+process.env.LOG_LEVEL = 'silent';
+process.env.QUOTA_FREE_DAILY = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createApp } = require('../presentation/app');
+const { createMemoryStore } = require('../persistence/memory');
+const { issueApiKey, rotateApiKey } = require('../business/apikeys');
+
+const store = createMemoryStore();
+const app = createApp({ persistence: store, mailer: { send: async () => ({}) } });
+
+// Metered calls are counted per endpoint and client once the response is sent
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function detect(key, clientId) {
+  const req = request(app).post('/api/v1/detect').set('Authorization', `Bearer ${key}`);
+  if (clientId) req.set('X-Client-Id', clientId);
+  return req.send({ number: '+14155550123' });
+}
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('the daily quota holds whichever X-Client-Id a key sends', async () => {
+  const { key } = await issueApiKey({ name: 'Quota', owner: 'acme', scopes: ['detect'] });
+
+  for (const [i, clientId] of ['web-1', 'web-2', undefined].entries()) {
+    const res = await detect(key, clientId).expect(200);
+    assert.equal(res.headers['x-quota-remaining'], String(2 - i));
+  }
+
+  const refused = await detect(key, 'web-fresh').expect(429);
+  assert.equal(refused.body.code, 'QUOTA_EXCEEDED');
+  assert.equal(refused.headers['x-quota-remaining'], '0');
+  await detect(key, 'another-fresh-one').expect(429);
+});
+
+test('a rotated key keeps its owner\'s counts', async () => {
+  const { key, apiKey } = await issueApiKey({ name: 'Rotate', owner: 'globex', scopes: ['detect'] });
+  await detect(key, 'a').expect(200);
+  await detect(key, 'b').expect(200);
+  const { key: rotated } = await rotateApiKey(apiKey.id);
+
+  const res = await detect(rotated, 'c').expect(200);
+  assert.equal(res.headers['x-quota-remaining'], '0');
+  await detect(rotated, 'd').expect(429);
+});
+
+test('/usage reports the owner\'s totals with a breakdown by endpoint and client', async () => {
+  const { key } = await issueApiKey({ name: 'Report', owner: 'initech', scopes: ['detect'] });
+  await detect(key, 'web-1').expect(200);
+  await detect(key, 'web-1').expect(200);
+  await detect(key, 'web-2').expect(200);
+  await detect(key, 'web-3').expect(429);
+  await settle();
+
+  const { body } = await request(app).get('/api/v1/usage').set('Authorization', `Bearer ${key}`).expect(200);
+  assert.equal(body.plan, 'free');
+  assert.equal(body.quotas.daily.limit, 3);
+  assert.equal(body.quotas.daily.used, 3);
+  assert.equal(body.quotas.daily.remaining, 0);
+  assert.deepEqual(body.endpoints, [{ endpoint: 'POST /detect', today: 3, thisMonth: 3 }]);
+  assert.deepEqual(body.clients, [
+    { client: 'client:web-1', today: 2, thisMonth: 2 },
+    { client: 'client:web-2', today: 1, thisMonth: 1 }
+  ]);
+});
@@ -0,0 +1,128 @@
+// test/app.test.js
+// The public app driven in-process through createApp: no listening server,
+// no MongoDB (memory backend) and no mail leaving the machine (file outbox).
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createApp } = require('../presentation/app');
+const { createMemoryStore } = require('../persistence/memory');
+const { createFileTransport } = require('../business/mailer');
+const { issueFormToken } = require('../business/botdefence');
+
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'spamklr-app-'));
+const store = createMemoryStore();
+const app = createApp({
+  config: { rateLimit: { signupMax: 100 } },
+  persistence: store,
+  mailer: createFileTransport({ dir: outbox })
+});
+
+function readOutbox() {
+  return fs.readdirSync(outbox).map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')));
+}
+
+// A form token issued long enough ago to pass the minimum fill-in time
+function formToken(form) {
+  return issueFormToken(form, Date.now() - 10000).token;
+}
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+test('/livez answers without touching dependencies', async () => {
+  const res = await request(app).get('/livez').expect(200);
+  assert.deepEqual(res.body, { status: 'ok' });
+  assert.equal(res.headers['cache-control'], 'no-store');
+});
+
+test('/readyz reports the memory backend as up', async () => {
+  const res = await request(app).get('/readyz').expect(200);
+  assert.equal(res.body.status, 'ready');
+  assert.equal(res.body.checks.database, 'up');
+});
+
+test('/join stores a pending entry and mails the confirmation link', async () => {
+  const res = await request(app)
+    .post('/join')
+    .send({ name: 'Ada Lovelace', email: 'ada@gmail.com', formToken: formToken('join') })
+    .expect(201);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.pending, true);
+
+  const entry = await store.findByEmail('ada@gmail.com');
+  assert.equal(entry.name, 'Ada Lovelace');
+  assert.equal(entry.confirmedAt, undefined);
+
+  const mails = readOutbox();
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].to, 'ada@gmail.com');
+  assert.match(mails[0].text, /\/join\/verify\/[\w-]+/);
+});
+
+test('/join refuses a submission without a form token', async () => {
+  const res = await request(app)
+    .post('/join')
+    .send({ name: 'No Token', email: 'no.token@gmail.com' })
+    .expect(400);
+  assert.equal(res.body.code, 'FORM_TOKEN_INVALID');
+  assert.equal(await store.findByEmail('no.token@gmail.com'), null);
+});
+
+test('/contact stores the message as typed', async () => {
+  const message = 'Do you support <b>landlines</b> & "VoIP"?';
+  await request(app)
+    .post('/contact')
+    .send({ name: "Ann O'Lee", email: 'ann@gmail.com', subject: 'general', message, formToken: formToken('contact') })
+    .expect(201);
+
+  const { items } = await store.listContactEntries({ page: 1, limit: 10 });
+  const contact = await store.findContactById(items[0]._id);
+  assert.equal(contact.name, "Ann O'Lee");
+  assert.equal(contact.message, message);
+});
+
+test('/contact answers validation errors with 400', async () => {
+  const res = await request(app)
+    .post('/contact')
+    .send({ name: 'Ann Lee', email: 'not-an-email', subject: 'general', message: 'Hello there, friend', formToken: formToken('contact') })
+    .expect(400);
+  assert.equal(res.body.error, 'Validation failed');
+});
+
+test('a form token is used up by a submission that goes through', async () => {
+  const token = formToken('contact');
+  const send = email => request(app)
+    .post('/contact')
+    .send({ name: 'Cy Young', email, subject: 'general', message: 'Hello there, friend', formToken: token });
+
+  await send('cy@gmail.com').expect(201);
+  const replay = await send('cy.again@gmail.com').expect(400);
+  assert.equal(replay.body.code, 'FORM_TOKEN_INVALID');
+});
+
+test('a form token is given back after a validation error, not after a duplicate', async () => {
+  const [link] = readOutbox().find(mail => mail.to === 'ada@gmail.com').text.match(/\/join\/verify\/[\w-]+/);
+  await request(app).get(link).expect(200);
+
+  const token = formToken('join');
+  const join = email => request(app).post('/join').send({ name: 'Ada Lovelace', email, formToken: token });
+
+  await join('not-an-email').expect(400);
+  // Confirmed above: refused as a duplicate, which uses the token up
+  await join('ada@gmail.com').expect(409);
+  const replay = await join('ada.other@gmail.com').expect(400);
+  assert.equal(replay.body.code, 'FORM_TOKEN_INVALID');
+});
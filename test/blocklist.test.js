@@ -0,0 +1,46 @@
+// test/blocklist.test.js
+// Blocklist imports against the per-owner entry limit, on the memory backend.
+
+process.env.LOG_LEVEL = 'silent';
+process.env.BLOCKLIST_MAX_ENTRIES = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { importBlocklist, exportBlocklist } = require('../business/blocklist');
+
+const store = createMemoryStore();
+persistence.setBackend(store);
+
+const FULL_LIST = ['+14155550101', '+14155550102', '+14155550103'];
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('re-importing an unchanged list at the limit updates it in place', async () => {
+  assert.equal((await importBlocklist('acme', { entries: FULL_LIST })).inserted, 3);
+
+  const again = await importBlocklist('acme', { entries: FULL_LIST });
+  assert.equal(again.inserted, 0);
+  assert.equal(again.updated, 3);
+
+  const { entries } = await exportBlocklist('acme');
+  assert.equal((await importBlocklist('acme', { entries })).updated, 3);
+});
+
+test('an import that adds patterns past the limit is refused', async () => {
+  await assert.rejects(
+    importBlocklist('acme', { entries: [...FULL_LIST.slice(1), '+14155550104'] }),
+    { code: 'BLOCKLIST_FULL' }
+  );
+  const replaced = await importBlocklist('acme', { entries: ['+14155550104'], mode: 'replace' });
+  assert.equal(replaced.inserted, 1);
+  assert.equal(replaced.removed, 3);
+});
@@ -0,0 +1,64 @@
+// test/botdefence.test.js
+// Form tokens: signing, timing and the production secret requirement.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { issueFormToken, verifyFormSubmission } = require('../business/botdefence');
+
+const store = createMemoryStore();
+persistence.setBackend(store);
+
+function withEnv(values, fn) {
+  const saved = Object.fromEntries(Object.keys(values).map(key => [key, process.env[key]]));
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('production refuses to sign tokens without a configured secret', () => {
+  withEnv({ NODE_ENV: 'production', BOT_TOKEN_SECRET: undefined, SESSION_SECRET: undefined }, () => {
+    assert.throws(() => issueFormToken('join'), /BOT_TOKEN_SECRET/);
+  });
+  withEnv({ NODE_ENV: 'production', BOT_TOKEN_SECRET: 'a-real-secret', SESSION_SECRET: undefined }, () => {
+    assert.ok(issueFormToken('join').token);
+  });
+});
+
+test('a token signed with another secret is refused', async () => {
+  const { token } = withEnv({ BOT_TOKEN_SECRET: 'someone-else' }, () => issueFormToken('join', Date.now() - 10000));
+  await withEnv({ BOT_TOKEN_SECRET: 'ours' }, () => assert.rejects(
+    verifyFormSubmission('join', { token }),
+    { code: 'FORM_TOKEN_INVALID' }
+  ));
+});
+
+test('a token is refused when submitted too soon, and can be used once', async () => {
+  const { token } = issueFormToken('contact');
+  await assert.rejects(verifyFormSubmission('contact', { token }), { code: 'SUBMITTED_TOO_FAST' });
+
+  const later = Date.now() + 10000;
+  await verifyFormSubmission('contact', { token }, later);
+  await assert.rejects(verifyFormSubmission('contact', { token }, later), { code: 'FORM_TOKEN_INVALID' });
+});
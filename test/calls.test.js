@@ -0,0 +1,48 @@
+// test/calls.test.js
+// Call event uploads on the memory backend: retried uploads are idempotent.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { ingestCallEvents, listCallEvents } = require('../business/calls');
+
+const store = createMemoryStore();
+persistence.setBackend(store);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function callEvent(eventId, startedAt) {
+  return { eventId, number: '+14155550123', startedAt: startedAt.toISOString(), action: 'blocked' };
+}
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('an event uploaded again is stored once, even with a start in another month', async () => {
+  const now = new Date();
+  const first = await ingestCallEvents('acme', { deviceId: 'phone-1', events: [callEvent('evt-1', now)] });
+  assert.deepEqual(first, { received: 1, inserted: 1, duplicates: 0 });
+
+  const again = await ingestCallEvents('acme', {
+    deviceId: 'phone-1',
+    events: [callEvent('evt-1', new Date(now.getTime() - 40 * DAY_MS)), callEvent('evt-2', now)]
+  });
+  assert.deepEqual(again, { received: 2, inserted: 1, duplicates: 1 });
+
+  const { items } = await listCallEvents('acme', { deviceId: 'phone-1' });
+  assert.deepEqual(items.map(item => item.eventId).sort(), ['evt-1', 'evt-2']);
+});
+
+test('event ids are scoped to their owner', async () => {
+  const result = await ingestCallEvents('globex', { deviceId: 'phone-1', events: [callEvent('evt-1', new Date())] });
+  assert.equal(result.inserted, 1);
+});
@@ -0,0 +1,51 @@
+// test/language.test.js
+// Language identification against English and Arabic fixtures, including
+// short, transliterated and mixed-script text.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { identifyLanguage } = require('../business/language');
+
+const FIXTURES = [
+  { text: 'Please call me back when you get a chance, thanks', language: 'en', reliable: true, mixed: false },
+  { text: 'Hello, this is the bank calling about your account', language: 'en', reliable: true, mixed: false },
+  { text: 'مرحبا، أنا أتصل من البنك بخصوص حسابك', language: 'ar', reliable: true, mixed: false },
+  { text: 'السلام عليكم، كيف حالك اليوم؟', language: 'ar', reliable: true, mixed: false },
+  // Arabic typed in Latin letters, alone and inside an English sentence
+  { text: 'ana mesh fahem enta 3ayez eh', language: 'ar', reliable: true, mixed: false },
+  { text: 'Please 3teni el code', language: 'en', reliable: true, mixed: false },
+  { text: 'Please send me the رمز التحقق now', language: 'en', reliable: true, mixed: true },
+  // Too short to tell unless one language clearly leads
+  { text: 'ok', language: 'und', reliable: false, mixed: false },
+  { text: 'yes', language: 'und', reliable: false, mixed: false },
+  { text: 'مرحبا', language: 'und', reliable: false, mixed: false },
+  { text: 'Hello', language: 'en', reliable: false, mixed: false }
+];
+
+for (const fixture of FIXTURES) {
+  test(`"${fixture.text}" is ${fixture.language}`, () => {
+    const { language, reliable, mixed } = identifyLanguage(fixture.text);
+    assert.deepEqual({ language, reliable, mixed }, { language: fixture.language, reliable: fixture.reliable, mixed: fixture.mixed });
+  });
+}
+
+test('the ranked candidates are still listed when the text is too short to guess', () => {
+  const { languages } = identifyLanguage('ok');
+  assert.ok(languages.length > 1);
+  assert.ok(languages.every(entry => entry.confidence < 0.7));
+});
+
+test('Arabic is marked transliterated in Latin letters only', () => {
+  const arabic = text => {
+    const { scripts, transliterated } = identifyLanguage(text).languages.find(entry => entry.language === 'ar');
+    return { scripts, transliterated };
+  };
+  assert.deepEqual(arabic('ana mesh fahem enta 3ayez eh'), { scripts: ['Latn'], transliterated: true });
+  assert.deepEqual(arabic('Please send me the رمز التحقق now'), { scripts: ['Arab'], transliterated: false });
+});
+
+test('empty or oversized text is refused', () => {
+  assert.throws(() => identifyLanguage('   '), { code: 'INVALID_TEXT' });
+  assert.throws(() => identifyLanguage('a'.repeat(20001)), { code: 'INVALID_TEXT' });
+});
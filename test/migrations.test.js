@@ -0,0 +1,45 @@
+// test/migrations.test.js
+// One-off data migrations on the memory backend.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { runMigrations } = require('../business/migrations');
+
+const store = createMemoryStore();
+persistence.setBackend(store);
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('decodes text stored HTML-escaped, once', async () => {
+  await store.insertWaitlistEntry({ name: 'Ann O&#x27;Brien', email: 'ann@gmail.com' });
+  const contact = await store.insertContactEntry({
+    name: 'Bo &amp; Co',
+    email: 'bo@gmail.com',
+    subject: 'general',
+    message: 'Is &lt;b&gt;this&lt;&#x2F;b&gt; &quot;spam&quot;?'
+  });
+
+  await runMigrations();
+  assert.equal((await store.findByEmail('ann@gmail.com')).name, "Ann O'Brien");
+  const decoded = await store.findContactById(contact._id);
+  assert.equal(decoded.name, 'Bo & Co');
+  assert.equal(decoded.message, 'Is <b>this</b> "spam"?');
+
+  // Text typed after the migration is left as it is, entities and all
+  await store.insertContactEntry({ name: 'Cy', email: 'cy@gmail.com', subject: 'general', message: 'What does &amp; mean here?' });
+  await runMigrations();
+  const { items } = await store.listContactEntries({ page: 1, limit: 10, q: 'cy@gmail.com' });
+  assert.equal((await store.findContactById(items[0]._id)).message, 'What does &amp; mean here?');
+  assert.equal((await store.findByEmail('ann@gmail.com')).name, "Ann O'Brien");
+});
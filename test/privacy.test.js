@@ -0,0 +1,130 @@
+// test/privacy.test.js
+// Data-subject requests on the memory backend: verified export and erasure of
+// waitlist, contact and webhook data, and the audit chain they leave.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { setTransport, createFileTransport } = require('../business/mailer');
+const { createWebhookSubscription, emitWebhookEvent } = require('../business/webhooks');
+const {
+  requestDataSubjectAction,
+  getDataSubjectRequest,
+  fulfilDataSubjectRequest,
+  verifyPrivacyAuditChain
+} = require('../business/privacy');
+
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'spamklr-privacy-'));
+const store = createMemoryStore();
+persistence.setBackend(store);
+setTransport(createFileTransport({ dir: outbox }));
+
+const SUBJECT = 'subject@gmail.com';
+const OTHER = 'bystander@gmail.com';
+
+// Ask for `type` and return the token from the confirmation link mailed out
+async function confirmedRequest(type) {
+  const before = new Set(fs.readdirSync(outbox));
+  await requestDataSubjectAction({ email: SUBJECT, type, baseUrl: 'https://spamklr.test' });
+  const [file] = fs.readdirSync(outbox).filter(name => !before.has(name));
+  const mail = JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8'));
+  assert.equal(mail.to, SUBJECT);
+  return decodeURIComponent(mail.text.match(/\/privacy\/requests\/(\S+)/)[1]);
+}
+
+test.before(async () => {
+  await store.connectDB();
+  await createWebhookSubscription({ url: 'http://127.0.0.1:9/hook', events: ['contact.submitted'] });
+  for (const email of [SUBJECT, OTHER]) {
+    await store.insertWaitlistEntry({ name: `Waitlist ${email}`, email });
+    const contact = await store.insertContactEntry({
+      name: `Contact ${email}`,
+      email,
+      subject: 'general',
+      message: `A message from ${email}`,
+      ipAddress: '203.0.113.7'
+    });
+    await emitWebhookEvent('contact.submitted', { id: String(contact._id), name: contact.name, email, message: contact.message });
+  }
+});
+
+test.after(async () => {
+  await store.closeDB();
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+test('an export holds the subject\'s data only, once the emailed link is opened', async () => {
+  const token = await confirmedRequest('export');
+  assert.deepEqual(await getDataSubjectRequest(token), { type: 'export' });
+
+  const { type, data, receipt } = await fulfilDataSubjectRequest(token);
+  assert.equal(type, 'export');
+  assert.equal(data.subject, SUBJECT);
+  assert.deepEqual(data.waitlist.map(entry => entry.email), [SUBJECT]);
+  assert.equal(data.waitlist[0].verificationTokenHash, undefined);
+  assert.deepEqual(data.contacts.map(contact => contact.email), [SUBJECT]);
+  assert.deepEqual(data.webhookDeliveries.map(delivery => delivery.payload.data.email), [SUBJECT]);
+  assert.equal(receipt.seq, 1);
+
+  await assert.rejects(fulfilDataSubjectRequest(token), { code: 'INVALID_TOKEN' });
+});
+
+test('an erasure removes the entry and anonymises contacts and webhook payloads', async () => {
+  const token = await confirmedRequest('erase');
+  const { affected, receipt } = await fulfilDataSubjectRequest(token);
+  assert.deepEqual(affected, { waitlist: 1, contacts: 1, webhookDeliveries: 1 });
+  assert.equal(receipt.seq, 2);
+
+  assert.equal(await store.findByEmail(SUBJECT), null);
+  const remaining = await store.findPersonalData(SUBJECT);
+  assert.deepEqual(remaining, { waitlist: [], contacts: [], webhookDeliveries: [] });
+
+  const { items: contacts } = await store.listContactEntries({ page: 1, limit: 10, q: 'erased' });
+  const erased = await store.findContactById(contacts[0]._id);
+  assert.equal(erased.name, '[erased]');
+  assert.equal(erased.message, '[erased]');
+  assert.equal(erased.ipAddress, '[erased]');
+
+  const { items: deliveries } = await store.listWebhookDeliveries({ page: 1, limit: 10 });
+  const payloads = await Promise.all(deliveries.map(async item => (await store.findWebhookDelivery(item._id)).payload.data));
+  const erasedPayload = payloads.find(data => data.email !== OTHER);
+  assert.equal(erasedPayload.email, 'erased@erased.invalid');
+  assert.equal(erasedPayload.name, '[erased]');
+  assert.equal(erasedPayload.message, '[erased]');
+
+  // Nobody else's data is touched
+  const other = await store.findPersonalData(OTHER);
+  assert.equal(other.waitlist.length, 1);
+  assert.equal(other.contacts[0].message, `A message from ${OTHER}`);
+  assert.equal(other.webhookDeliveries.length, 1);
+});
+
+test('the audit chain verifies, and a record that does not fit breaks it', async () => {
+  const verification = await verifyPrivacyAuditChain();
+  assert.equal(verification.valid, true);
+  assert.equal(verification.length, 2);
+  const [, last] = await store.listPrivacyAudits();
+  assert.equal(verification.head, last.hash);
+
+  await store.insertPrivacyAudit({
+    ...last,
+    _id: undefined,
+    seq: 3,
+    affected: { ...last.affected, waitlist: 0 },
+    prevHash: last.hash
+  });
+  assert.deepEqual(await verifyPrivacyAuditChain(), { valid: false, length: 3, brokenAt: 3 });
+});
+
+test('links are checked before anything is done', async () => {
+  await assert.rejects(getDataSubjectRequest('not-a-token'), { code: 'INVALID_TOKEN' });
+  await assert.rejects(fulfilDataSubjectRequest(''), { code: 'INVALID_TOKEN' });
+  await assert.rejects(requestDataSubjectAction({ email: SUBJECT, type: 'sell', baseUrl: '' }), { code: 'INVALID_REQUEST_TYPE' });
+});
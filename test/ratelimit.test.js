@@ -0,0 +1,90 @@
+// test/ratelimit.test.js
+// Rate-limit policies from RATE_LIMIT_POLICIES and the shared counter store.
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const { loadConfig } = require('../presentation/config');
+const { createLimiters, createRateLimitStore } = require('../presentation/ratelimit');
+
+const store = createMemoryStore();
+
+const policies = value => loadConfig({ RATE_LIMIT_POLICIES: value }).rateLimit.policies;
+
+test.before(async () => {
+  persistence.setBackend(store);
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+});
+
+test('RATE_LIMIT_POLICIES is parsed into per-policy settings', () => {
+  assert.deepEqual(policies(undefined), {});
+  assert.deepEqual(policies('{"contact":{"max":3},"join":{"windowMs":60000,"max":2}}'), {
+    contact: { max: 3 },
+    join: { windowMs: 60000, max: 2 }
+  });
+});
+
+test('a malformed RATE_LIMIT_POLICIES is refused, naming the variable', () => {
+  for (const value of ['{contact', '[]', '"x"', '{"contact":3}', '{"contact":{"max":"3"}}', '{"contact":{"max":0}}', '{"contact":{"limit":3}}']) {
+    assert.throws(() => policies(value), /^Error: RATE_LIMIT_POLICIES is invalid: /, value);
+  }
+});
+
+test('the shared store counts hits per policy and key', async () => {
+  const join = createRateLimitStore('join');
+  const contact = createRateLimitStore('contact');
+  join.init({ windowMs: 60000 });
+  contact.init({ windowMs: 60000 });
+
+  assert.equal((await join.increment('203.0.113.7')).totalHits, 1);
+  const second = await join.increment('203.0.113.7');
+  assert.equal(second.totalHits, 2);
+  assert.ok(second.resetTime > new Date());
+  assert.equal((await contact.increment('203.0.113.7')).totalHits, 1);
+
+  await join.decrement('203.0.113.7');
+  assert.equal((await join.get('203.0.113.7')).totalHits, 1);
+  await join.resetKey('203.0.113.7');
+  assert.equal(await join.get('203.0.113.7'), undefined);
+});
+
+test('the shared store lets requests through when the backend fails', async () => {
+  const failing = Object.fromEntries(Object.keys(store).map(name => [name, async () => {
+    throw new Error('backend down');
+  }]));
+  persistence.setBackend(failing);
+  try {
+    const limiterStore = createRateLimitStore('join');
+    limiterStore.init({ windowMs: 60000 });
+    assert.equal((await limiterStore.increment('203.0.113.7')).totalHits, 1);
+    assert.equal(await limiterStore.get('203.0.113.7'), undefined);
+    await limiterStore.decrement('203.0.113.7');
+    await limiterStore.resetKey('203.0.113.7');
+  } finally {
+    persistence.setBackend(store);
+  }
+});
+
+test('a route policy applies on its own, falling back to its base policy\'s settings', async () => {
+  const config = loadConfig({ RATE_LIMIT_POLICIES: '{"contact":{"max":2}}', RATE_LIMIT_MAX_SIGNUP_REQUESTS: '5' });
+  const limiter = createLimiters(config);
+  const app = express();
+  app.post('/contact', limiter('contact', { fallback: 'signup' }), (req, res) => res.sendStatus(204));
+  app.post('/join', limiter('join', { fallback: 'signup' }), (req, res) => res.sendStatus(204));
+
+  await request(app).post('/contact').expect(204);
+  await request(app).post('/contact').expect(204);
+  await request(app).post('/contact').expect(429);
+  // /join has no policy of its own, so it shares the signup limiter
+  await request(app).post('/join').expect(204);
+});
@@ -0,0 +1,109 @@
+// test/transcripts.test.js
+// Transcript analysis against English and Arabic call fixtures, including
+// short, mixed-script and timestamped input.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeTranscript } = require('../business/transcripts');
+
+const FIXTURES = [
+  {
+    title: 'English bank impersonation asking for the OTP',
+    text: 'Hello, I am calling from your bank. Please read me the verification code we just sent you. Do it right now or your account will be blocked.',
+    verdict: 'scam',
+    rules: ['en.impersonation', 'en.otp.named', 'en.urgency', 'en.urgency.threat']
+  },
+  {
+    title: 'English appointment reminder',
+    text: 'Your appointment is confirmed for Tuesday at 10am. Have a nice day.',
+    verdict: 'safe',
+    rules: []
+  },
+  {
+    title: 'English warning not to share credentials',
+    text: 'Never share your OTP or password with anyone, not even the bank.',
+    verdict: 'safe',
+    rules: []
+  },
+  {
+    title: 'English request for a PIN',
+    text: 'Give me your PIN',
+    verdict: 'suspicious',
+    rules: ['en.pin']
+  },
+  {
+    title: 'Arabic bank impersonation asking for the OTP',
+    text: 'مرحبا، معك موظف البنك. اعطني رمز التحقق اللي وصلك فورا',
+    verdict: 'scam',
+    rules: ['ar.impersonation.role', 'ar.otp.named', 'ar.urgency']
+  },
+  {
+    title: 'Arabic warning not to share the password',
+    text: 'لا تشارك كلمة السر مع أي شخص',
+    verdict: 'safe',
+    rules: []
+  },
+  {
+    title: 'Arabic request for card details, written with hamza',
+    text: 'أعطني رقم البطاقة وتاريخ الانتهاء والأرقام الثلاثة اللي ورا البطاقة',
+    verdict: 'suspicious',
+    rules: ['ar.card', 'ar.expiry', 'ar.cvv']
+  },
+  {
+    title: 'mixed script: English request, Arabic term',
+    text: 'Please send me the رمز التحقق now',
+    verdict: 'suspicious',
+    rules: ['ar.otp.named']
+  },
+  {
+    title: 'mixed script: Arabic request, English term',
+    text: 'ارسل لي the OTP please',
+    verdict: 'suspicious',
+    rules: ['en.otp']
+  },
+  {
+    title: 'short reply',
+    text: 'ok',
+    verdict: 'safe',
+    rules: []
+  },
+  {
+    title: 'a term on its own, with nobody asking for it',
+    text: 'OTP',
+    verdict: 'safe',
+    rules: []
+  }
+];
+
+for (const fixture of FIXTURES) {
+  test(`${fixture.title}: ${fixture.verdict}`, () => {
+    const result = analyzeTranscript({ text: fixture.text });
+    assert.equal(result.verdict, fixture.verdict);
+    assert.deepEqual(result.flags.map(flag => flag.rule), fixture.rules);
+    for (const flag of result.flags) {
+      // Offsets point into the text as sent, not its normalised form
+      assert.equal(fixture.text.slice(flag.start, flag.end), flag.text);
+    }
+  });
+}
+
+test('flags carry the segment, speaker and time they were heard at', () => {
+  const result = analyzeTranscript({
+    segments: [
+      { text: 'This is the fraud team.', start: 0, end: 2, speaker: 'caller' },
+      { text: 'Read me the code.', start: 2, end: 4, speaker: 'caller' },
+      { text: 'What is your password?', start: 4, end: 6, speaker: 'caller' }
+    ]
+  });
+  assert.equal(result.verdict, 'scam');
+  assert.deepEqual(result.flags.map(({ segment, category, language, speaker, time }) => ({ segment, category, language, speaker, time })), [
+    { segment: 0, category: 'impersonation', language: 'en', speaker: 'caller', time: { start: 0, end: 2 } },
+    { segment: 2, category: 'credential_request', language: 'en', speaker: 'caller', time: { start: 4, end: 6 } }
+  ]);
+});
+
+test('input without text is refused', () => {
+  assert.throws(() => analyzeTranscript({}), { code: 'INVALID_TRANSCRIPT' });
+  assert.throws(() => analyzeTranscript({ segments: [] }), { code: 'INVALID_TRANSCRIPT' });
+});
@@ -0,0 +1,106 @@
+// test/verification.test.js
+// Double opt-in for the waitlist, in-process: signup, the confirmation mail
+// in the file outbox, and opening its link (once, before it expires).
+
+process.env.LOG_LEVEL = 'silent';
+process.env.MAX_SIGNUPS_PER_IP_24H = '100';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const { createApp } = require('../presentation/app');
+const { createMemoryStore } = require('../persistence/memory');
+const { createFileTransport } = require('../business/mailer');
+const { issueFormToken } = require('../business/botdefence');
+const { createToken } = require('../business/tokens');
+
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'spamklr-verify-'));
+const store = createMemoryStore();
+const app = createApp({
+  config: { baseUrl: 'https://spamklr.test', rateLimit: { signupMax: 100 } },
+  persistence: store,
+  mailer: createFileTransport({ dir: outbox })
+});
+
+// Sign up through /join and return the confirmation path from the mail sent
+async function signUp(name, email) {
+  const before = new Set(fs.readdirSync(outbox));
+  await request(app)
+    .post('/join')
+    .send({ name, email, formToken: issueFormToken('join', Date.now() - 10000).token })
+    .expect(201);
+  const [file] = fs.readdirSync(outbox).filter(entry => !before.has(entry));
+  const mail = JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8'));
+  assert.equal(mail.to, email);
+  assert.equal(mail.subject, 'Confirm your spot on the SPAMKLR waitlist');
+  const link = mail.text.match(/https:\/\/spamklr\.test(\/join\/verify\/\S+)/);
+  assert.ok(link, 'the mail links to the configured base URL');
+  return link[1];
+}
+
+test.before(async () => {
+  await store.connectDB();
+});
+
+test.after(async () => {
+  await store.closeDB();
+  fs.rmSync(outbox, { recursive: true, force: true });
+});
+
+test('opening the emailed link confirms the signup', async () => {
+  const link = await signUp('Grace Hopper', 'grace@gmail.com');
+  assert.equal((await store.findByEmail('grace@gmail.com')).status, 'pending');
+  assert.equal(await store.countWaitlist(), 0);
+
+  const res = await request(app).get(link).expect(200);
+  assert.match(res.text, /You're on the list!/);
+  assert.match(res.text, /Thanks Grace Hopper, your email is confirmed\. You are number 1/);
+
+  const entry = await store.findByEmail('grace@gmail.com');
+  assert.notEqual(entry.status, 'pending');
+  assert.ok(entry.confirmedAt);
+  assert.equal(await store.countWaitlist(), 1);
+});
+
+test('a link works only once', async () => {
+  const link = await signUp('Alan Turing', 'alan@gmail.com');
+  await request(app).get(link).expect(200);
+
+  const res = await request(app).get(link).expect(400);
+  assert.match(res.text, /Link not valid/);
+  assert.equal(await store.countWaitlist(), 2);
+});
+
+test('signing up again while pending replaces the link', async () => {
+  const first = await signUp('Edsger Dijkstra', 'edsger@gmail.com');
+  const second = await signUp('Edsger Dijkstra', 'edsger@gmail.com');
+  assert.notEqual(first, second);
+
+  await request(app).get(first).expect(400);
+  await request(app).get(second).expect(200);
+});
+
+test('an expired link is refused and the unconfirmed signup dropped', async () => {
+  await signUp('Barbara Liskov', 'barbara@gmail.com');
+  const entry = await store.findByEmail('barbara@gmail.com');
+  const { token, tokenHash } = createToken();
+  await store.refreshVerificationToken(entry._id, {
+    verificationTokenHash: tokenHash,
+    verificationExpiresAt: new Date(Date.now() - 1000)
+  });
+
+  const res = await request(app).get(`/join/verify/${token}`).expect(400);
+  assert.match(res.text, /invalid or has expired/);
+  assert.equal(await store.findByEmail('barbara@gmail.com'), null);
+
+  // Signing up again starts over with a fresh link
+  await request(app).get(await signUp('Barbara Liskov', 'barbara@gmail.com')).expect(200);
+});
+
+test('an unknown token is refused', async () => {
+  await request(app).get('/join/verify/not-a-real-token').expect(400);
+});
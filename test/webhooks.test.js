@@ -0,0 +1,204 @@
+// test/webhooks.test.js
+// Webhook deliveries against a local HTTP receiver: signatures, backoff
+// after a failed attempt, pickup of pending deliveries after a restart, and
+// replay; and the waitlist capacity events. Runs on the file-backed memory
+// store, so no database is needed.
+
+process.env.LOG_LEVEL = 'silent';
+process.env.WEBHOOK_RETRY_BASE_MS = '200';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const persistence = require('../persistence/persistence');
+const { createMemoryStore } = require('../persistence/memory');
+const {
+  createWebhookSubscription,
+  emitWebhookEvent,
+  deliverDueWebhooks,
+  replayWebhookDelivery,
+  startWebhookWorker
+} = require('../business/webhooks');
+const { confirmWaitlistEntry } = require('../business/business');
+const { hashToken } = require('../business/tokens');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spamklr-webhooks-'));
+const file = path.join(dir, 'data.json');
+
+// Answers each request with the next queued status (200 once the queue is empty)
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.statusCode = statuses.length ? statuses.shift() : 200;
+    res.end();
+  });
+});
+
+let store;
+let subscription;
+let secret;
+
+async function useStore() {
+  store = createMemoryStore({ file });
+  persistence.setBackend(store);
+  await store.connectDB();
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > until) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test.before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  await useStore();
+  ({ subscription, secret } = await createWebhookSubscription({
+    url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    events: ['contact.submitted']
+  }));
+});
+
+test.after(async () => {
+  await store.closeDB();
+  await new Promise(resolve => receiver.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('signs each delivery with the subscription secret', async () => {
+  received.length = 0;
+  const [delivery] = await emitWebhookEvent('contact.submitted', { id: 'c1' });
+  await deliverDueWebhooks();
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.equal(headers['x-spamklr-event'], 'contact.submitted');
+  assert.equal(headers['x-spamklr-delivery'], String(delivery._id));
+
+  const { t, v1 } = Object.fromEntries(headers['x-spamklr-signature'].split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  assert.equal(v1, expected);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60);
+  assert.equal(JSON.parse(body).data.id, 'c1');
+
+  const stored = await store.findWebhookDelivery(delivery._id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.attempts, 1);
+});
+
+test('backs off after a 5xx and delivers on the retry', async () => {
+  received.length = 0;
+  statuses.push(503);
+  const before = Date.now();
+  const [delivery] = await emitWebhookEvent('contact.submitted', { id: 'c2' });
+  await deliverDueWebhooks();
+
+  let stored = await store.findWebhookDelivery(delivery._id);
+  assert.equal(stored.status, 'pending');
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.lastStatusCode, 503);
+  // First retry waits the base delay plus up to 10% jitter
+  const delay = new Date(stored.nextAttemptAt).getTime() - before;
+  assert.ok(delay >= 200 && delay <= 200 * 1.1 + 1000, `unexpected delay ${delay}ms`);
+
+  await deliverDueWebhooks();
+  assert.equal(received.length, 1, 'not retried before the backoff has passed');
+
+  await new Promise(resolve => setTimeout(resolve, new Date(stored.nextAttemptAt).getTime() - Date.now() + 10));
+  await deliverDueWebhooks();
+  stored = await store.findWebhookDelivery(delivery._id);
+  assert.equal(stored.status, 'delivered');
+  assert.equal(stored.attempts, 2);
+  assert.equal(received.length, 2);
+});
+
+test('picks up a pending delivery after a restart', async () => {
+  received.length = 0;
+  statuses.push(500);
+  const [delivery] = await emitWebhookEvent('contact.submitted', { id: 'c3' });
+  await deliverDueWebhooks();
+  assert.equal((await store.findWebhookDelivery(delivery._id)).status, 'pending');
+
+  // A new process: the same data file, nothing in memory
+  await store.closeDB();
+  await useStore();
+  const stopWorker = startWebhookWorker({ intervalMs: 50 });
+  try {
+    await waitFor(async () => (await store.findWebhookDelivery(delivery._id)).status === 'delivered');
+  } finally {
+    await stopWorker();
+  }
+  assert.equal(received.length, 2);
+  assert.equal(JSON.parse(received[1].body).data.id, 'c3');
+});
+
+test('replays a logged delivery as a new delivery of the same event', async () => {
+  received.length = 0;
+  const [original] = await emitWebhookEvent('contact.submitted', { id: 'c4' });
+  await deliverDueWebhooks();
+
+  const replay = await replayWebhookDelivery(original._id);
+  await deliverDueWebhooks();
+
+  assert.equal(String(replay.replayOf), String(original._id));
+  assert.equal(replay.eventId, original.eventId);
+  assert.equal(received.length, 2);
+  assert.notEqual(received[1].headers['x-spamklr-delivery'], received[0].headers['x-spamklr-delivery']);
+  assert.equal(received[1].body, received[0].body);
+  assert.equal((await store.findWebhookDelivery(replay._id)).status, 'delivered');
+  assert.equal(String((await store.findWebhookDelivery(replay._id)).subscription), subscription.id);
+});
+
+test('emits each capacity threshold once, when it is first crossed', async () => {
+  process.env.MAX_WAITLIST_ENTRIES = '4';
+  process.env.WAITLIST_CAPACITY_THRESHOLDS = '50,100';
+  await createWebhookSubscription({
+    url: `http://127.0.0.1:${receiver.address().port}/capacity`,
+    events: ['waitlist.capacity_threshold']
+  });
+  const signUp = async i => {
+    await store.insertWaitlistEntry({
+      name: `Person ${i}`,
+      email: `person${i}@gmail.com`,
+      verificationTokenHash: hashToken(`token-${i}`),
+      verificationExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    return `token-${i}`;
+  };
+  const thresholdEvents = async () => {
+    const { items } = await store.listWebhookDeliveries({ page: 1, limit: 50, q: 'waitlist.capacity_threshold' });
+    const deliveries = await Promise.all(items.map(item => store.findWebhookDelivery(item._id)));
+    return deliveries.map(delivery => delivery.payload.data.threshold).sort((a, b) => a - b);
+  };
+
+  const tokens = await Promise.all([1, 2, 3, 4, 5, 6].map(signUp));
+  await confirmWaitlistEntry(tokens[0]);
+  assert.deepEqual(await thresholdEvents(), []);
+
+  // Two confirmations side by side both land past the 50% mark (2 of 4)
+  await Promise.all([confirmWaitlistEntry(tokens[1]), confirmWaitlistEntry(tokens[2])]);
+  assert.deepEqual(await thresholdEvents(), [50]);
+
+  await confirmWaitlistEntry(tokens[3]);
+  assert.deepEqual(await thresholdEvents(), [50, 100]);
+
+  // Neither more confirmations nor a new capacity fire them again
+  await confirmWaitlistEntry(tokens[4]);
+  process.env.MAX_WAITLIST_ENTRIES = '6';
+  await confirmWaitlistEntry(tokens[5]);
+  assert.deepEqual(await thresholdEvents(), [50, 100]);
+
+  delete process.env.MAX_WAITLIST_ENTRIES;
+  delete process.env.WAITLIST_CAPACITY_THRESHOLDS;
+});